@@ -1,112 +1,191 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Badge, Field, Highlight, Modal } from "./components/ui.jsx";
+import ProgramModal from "./components/ProgramModal.jsx";
+import ProgramDetail from "./components/ProgramDetail.jsx";
+import ImportPreviewModal from "./components/ImportPreviewModal.jsx";
+import ShareLinkModal from "./components/ShareLinkModal.jsx";
+import SharedView from "./components/SharedView.jsx";
+import PatientView from "./components/PatientView.jsx";
+import HandoutView from "./components/HandoutView.jsx";
+import ItemImage from "./components/ItemImage.jsx";
+import ImageListEditor from "./components/ImageListEditor.jsx";
+import RevisionModal from "./components/RevisionModal.jsx";
+import TagInput from "./components/TagInput.jsx";
+import ProgressionEditor from "./components/ProgressionEditor.jsx";
+import MarkupTextarea from "./components/MarkupTextarea.jsx";
+import RichText from "./components/RichText.jsx";
+import ResourceList from "./components/ResourceList.jsx";
+import ResourceListEditor from "./components/ResourceListEditor.jsx";
+import BodyMap from "./components/BodyMap.jsx";
+import TagManagerModal from "./components/TagManagerModal.jsx";
+import BulkTagModal from "./components/BulkTagModal.jsx";
+import ShareTemplateModal from "./components/ShareTemplateModal.jsx";
+import LogModal from "./components/LogModal.jsx";
+import PatientDashboard, { ReviewBadge } from "./components/PatientDashboard.jsx";
+import PatientModal from "./components/PatientModal.jsx";
+import {
+  buildItemsShareText,
+  buildShareText,
+  buildProgramShareText,
+  currentTemplate,
+  formatEntryDosage,
+  normalizeTemplates,
+} from "./utils/shareText.js";
+import { loadSettings, saveSettings } from "./utils/settings.js";
+import { todayString } from "./utils/adherence.js";
+import { anonymize, dueForReview } from "./utils/patients.js";
+import {
+  EMPTY_LINKS,
+  chainOf,
+  linksOf,
+  referencesTo,
+  remapLinks,
+  unlinkIds,
+} from "./utils/progression.js";
+import { duplicateResources, formToResources, resourcesToForm, validateResourcesForm } from "./utils/resources.js";
+import {
+  DOSAGE_FIELDS,
+  SIDE_LABELS,
+  dosageToForm,
+  formatDosage,
+  normalizeDosage,
+  validateDosageForm,
+} from "./utils/dosage.js";
+import { describeSaveError, loadStore, migrate, readStore, saveStore, toEnvelope } from "./utils/storage.js";
+import { mergeRemote, newerOf, openSync } from "./utils/sync.js";
+import { registerServiceWorker } from "./utils/pwa.js";
+import { searchItems, snippetAround } from "./utils/search.js";
+import { cleanTags, countTags, hasTags, mergeTags } from "./utils/tags.js";
+import {
+  SORT_OPTIONS,
+  compareBy,
+  keepLocalOrder,
+  keepShareStats,
+  moveItem,
+  pinnedFirst,
+  recordShares,
+  topOrder,
+} from "./utils/ordering.js";
+import {
+  DIFFICULTIES,
+  EMPTY_CLASSIFICATION,
+  EQUIPMENT,
+  REGIONS,
+  STAGES,
+  difficultyLabel,
+  equipmentLabels,
+  hasRegion,
+  normalizeClassification,
+  regionLabels,
+  stageLabel,
+} from "./utils/classify.js";
+import { applyMerge, mergeLogs, planMerge } from "./utils/merge.js";
+import { validateAssets, validateStore } from "./utils/validate.js";
+import {
+  collectAllImageIds,
+  deleteImages,
+  exportImages,
+  importImages,
+  prepareImage,
+  pruneImages,
+  putImage,
+} from "./utils/imageStore.js";
+import { onVersionChange } from "./utils/db.js";
+import { keepAsRevision, withRevision } from "./utils/revisions.js";
+import {
+  PATIENT_MODE,
+  clearShareToken,
+  decodeShare,
+  readShareMode,
+  readShareToken,
+} from "./utils/shareLink.js";
 
-// ✅ 단일 파일 React 앱 (+ 공유 링크 동기화)
-// - 로컬스토리지 저장/로드
-// - 운동법 추가/편집/삭제
-// - 검색, 정렬, 복사, JSON 내보내기/가져오기
-// - Tailwind UI 사용 (CDN 또는 빌드 설정 중 하나)
+// ✅ React 앱 (+ 공유 링크 동기화)
+// - IndexedDB 저장/로드 (항목 단위 저장, 버전 관리 + 마이그레이션, utils/storage.js)
+//   저장 실패(용량 부족 등)는 상단 경고 막대로 표시
+// - 운동법 추가/편집/삭제 (횟수/세트/유지/휴식/빈도 등 구조화된 처방 포함)
+// - 운동별 사진/그림 + 단계 설명 (이미지는 IndexedDB, 백업 파일에는 data URL 로 포함)
+// - 되돌리기/다시 실행(Ctrl+Z / Ctrl+Shift+Z), 휴지통(복원/영구 삭제), 항목별 수정 이력 비교/복원
+// - 여러 탭/창 동기화: 저장할 때마다 다른 탭에 알리고, 동시에 고친 항목은 최근 것을 남기고 나머지는 이력에 보관
+// - 환자별 홈 운동 프로그램 (운동 묶음 + 세트/횟수/빈도)
+// - 검색: 초성/오타 허용, tag:/caution: 필드 지정, - 로 제외, 관련도 순 + 맞은 부분 강조 (utils/search.js)
+// - 태그: 개수와 함께 목록 위에 표시, 여러 개 골라 AND/OR 로 거르기, 이름 바꾸기/합치기, 입력 시 자동완성
+// - 분류: 부위/상태·단계/난이도/준비물, 검색창 옆 인체 그림에서 부위를 눌러 거르기
+// - 여러 항목 선택(보이는 항목/전체) 후 한꺼번에 삭제·태그 붙이기/빼기·복제·JSON 내보내기·텍스트 복사·인쇄
+// - 정렬: 직접 정한 순서(끌어 놓기, 손잡이에서 ↑↓ 키), 고정 항목은 항상 맨 위, 많이 공유한/최근 복사한 순
+// - 복사, JSON 내보내기/가져오기 (미리보기 후 병합 또는 덮어쓰기)
+// - Tailwind UI 사용 (빌드 설정, @tailwindcss/postcss)
+// - PWA: 설치 가능, 앱 셸 오프라인 캐시(서비스 워커), 새 버전이 있으면 상단에 알림
 // - 모달 하단 버튼 sticky 처리 (저장/닫기 항상 보임)
-// - 공유 링크: 현재 목록을 URL에 담아 복사/불러오기
+// - 공유 링크: 전체/검색 결과/체크한 항목을 압축해 URL 해시에 담아 복사/불러오기
+//   받은 쪽은 읽기 전용 화면으로 열고, 원할 때만 내 목록에 저장
+// - 환자용 화면: 환자용 링크 또는 ?mode=patient → 큰 글씨, 편집 불가, 오늘 완료 체크
+// - 인쇄용 안내문: 병원 이름/환자/날짜/처방/1주일 체크칸/링크 QR → 브라우저 인쇄로 PDF 저장
 
-const STORAGE_KEY = "exerciseListV1";
-
-// --- 공유 링크 유틸 ---
-function encodeData(obj) {
-  const json = JSON.stringify(obj);
-  return btoa(unescape(encodeURIComponent(json))); // UTF-8 safe base64
-}
-function decodeData(b64) {
-  const json = decodeURIComponent(escape(atob(b64)));
-  return JSON.parse(json);
-}
-function getQueryParam(key) {
-  const params = new URLSearchParams(window.location.search);
-  return params.get(key);
-}
-function setQueryParam(key, val) {
-  const url = new URL(window.location.href);
-  if (val == null) url.searchParams.delete(key);
-  else url.searchParams.set(key, val);
-  window.history.replaceState({}, "", url.toString());
-}
+// 되돌리기 스택 최대 길이
+const HISTORY_LIMIT = 50;
+const PROGRAM_SORT_KEYS = ["updatedAt", "createdAt", "title"];
 
 function uid() {
   return (Date.now().toString(36) + Math.random().toString(36).slice(2, 8)).toUpperCase();
 }
 
-function loadData() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
-  }
-}
-
-function saveData(list) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
-  } catch {}
-}
-
-function Badge({ children }) {
-  return (
-    <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs leading-5">
-      {children}
-    </span>
-  );
-}
-
-function Field({ label, children, required }) {
-  return (
-    <label className="block mb-3">
-      <div className="mb-1 text-sm font-medium text-gray-700">
-        {label}
-        {required && <span className="ml-1 text-red-500">*</span>}
-      </div>
-      {children}
-    </label>
-  );
-}
-
-function Modal({ open, onClose, children, title, footer }) {
-  if (!open) return null;
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center">
-      <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden />
-      <div className="relative w-[92vw] max-w-xl rounded-2xl bg-white p-5 shadow-xl">
-        <div className="mb-3 flex items-center justify-between">
-          <h3 className="text-lg font-semibold">{title}</h3>
-          <button
-            className="rounded-full p-2 hover:bg-gray-100"
-            onClick={onClose}
-            aria-label="닫기"
-          >
-            ✕
-          </button>
-        </div>
-
-        {/* 스크롤 영역 */}
-        <div className="max-h-[70vh] overflow-auto pr-1">{children}</div>
-
-        {/* 항상 보이는 하단 고정 버튼 바 */}
-        {footer && (
-          <div className="sticky bottom-0 -mx-5 mt-4 border-t bg-white px-5 pt-3 flex justify-end gap-2">
-            {footer}
-          </div>
-        )}
-      </div>
-    </div>
-  );
-}
-
 export default function App() {
-  const [items, setItems] = useState(() => loadData());
+  const [items, setItems] = useState([]);
+  const [loadState, setLoadState] = useState("loading"); // "loading" | "ready" | "failed"
+  const [saveError, setSaveError] = useState(null);
+  // 마지막으로 저장에 성공한(또는 읽어 온) 상태 → 다음 저장 때 바뀐 레코드만 씀
+  const persisted = useRef(null);
   const [query, setQuery] = useState("");
   const [sortKey, setSortKey] = useState("updatedAt");
   const [selectedId, setSelectedId] = useState(null);
+  // 체크박스 다중 선택 (공유 링크 등 여러 항목 대상 작업용)
+  const [checkedIds, setCheckedIds] = useState(() => new Set());
+  // 끌어서 옮기는 중 { id, overId, after } — overId 앞(after 면 뒤)에 놓일 자리 표시
+  const [drag, setDrag] = useState(null);
+  // 키보드로 옮긴 뒤 손잡이에 다시 포커스
+  const handleRefs = useRef(new Map());
+  const [focusHandleId, setFocusHandleId] = useState(null);
+
+  // 프로그램 (환자/상태별 운동 묶음)
+  const [programs, setPrograms] = useState([]);
+  // 운동 목록 변경 이력 (되돌리기/다시 실행) — { items, label } 스냅샷
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [revisionItemId, setRevisionItemId] = useState(null);
+  const [selectedTrashId, setSelectedTrashId] = useState(null);
+  const [view, setView] = useState("items"); // "items" | "programs" | "trash"
+  const [tagFilter, setTagFilter] = useState({ tags: [], mode: "or" }); // mode: "and" | "or"
+  const [tagManagerOpen, setTagManagerOpen] = useState(false);
+  const [regionFilter, setRegionFilter] = useState([]);
+  const [bulkTagOpen, setBulkTagOpen] = useState(false);
+  const [selectedProgramId, setSelectedProgramId] = useState(null);
+  const [programModalOpen, setProgramModalOpen] = useState(false);
+  const [editingProgramId, setEditingProgramId] = useState(null);
+
+  // 환자 명단과 운동 기록 (수행 여부/통증) — 이 기기에만, 되돌리기 대상 아님
+  const [patients, setPatients] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [selectedPatientId, setSelectedPatientId] = useState(null);
+  const [patientFilter, setPatientFilter] = useState("all"); // "all" | "due"
+  const [patientModal, setPatientModal] = useState(null); // { initial } → PatientModal
+  const [logModal, setLogModal] = useState(null); // { initial } → LogModal
+
+  // 가져오기 대기 중인 데이터 { items, programs|null, rejected, warnings, source } → 미리보기 모달
+  const [pendingImport, setPendingImport] = useState(null);
+  const [shareOpen, setShareOpen] = useState(false);
+  // 인쇄용 안내문 { title, entries: [{ item, dosage }] }
+  const [handout, setHandout] = useState(null);
+  // 기기별 설정 (병원 이름/전화, 공유 텍스트 템플릿)
+  const [settings, setSettings] = useState(() => loadSettings());
+  const [templateModalOpen, setTemplateModalOpen] = useState(false);
+  const shareTemplate = currentTemplate(settings);
+  // 공유 링크로 열린 경우 { raw, items, rejected } → 읽기 전용 화면
+  const [launch] = useState(() => ({
+    token: readShareToken(),
+    patient: readShareMode() === PATIENT_MODE,
+  }));
+  const [sharedView, setSharedView] = useState(null);
+  const [sharedFailed, setSharedFailed] = useState(false);
 
   // 폼 상태
   const [modalOpen, setModalOpen] = useState(false);
@@ -114,51 +193,269 @@ export default function App() {
   const [title, setTitle] = useState("");
   const [content, setContent] = useState("");
   const [caution, setCaution] = useState("");
-  const [link, setLink] = useState("");
-  const [tagsText, setTagsText] = useState("");
+  const [resourcesForm, setResourcesForm] = useState([]);
+  const [tagsForm, setTagsForm] = useState([]);
+  const [dosageForm, setDosageForm] = useState(() => dosageToForm(null));
+  const [classForm, setClassForm] = useState(EMPTY_CLASSIFICATION);
+  const [linksForm, setLinksForm] = useState(EMPTY_LINKS);
+  const [imagesForm, setImagesForm] = useState([]);
+  // 이번 편집 중 새로 올린 이미지 (저장하지 않고 닫으면 지움)
+  const [draftImageIds, setDraftImageIds] = useState([]);
+  const [imagesBusy, setImagesBusy] = useState(false);
+  // 편집을 시작할 때의 항목 — 다른 탭에서 바뀌었는지 비교용
+  const [editingBase, setEditingBase] = useState(null);
 
-  useEffect(() => saveData(items), [items]);
+  useEffect(() => {
+    onVersionChange(() => {
+      alert("다른 탭에서 새 버전의 앱을 열었습니다. 이 탭을 새로고침합니다.");
+      location.reload();
+    });
+  }, []);
 
-  // ✨ 페이지에 ?data= 가 있으면 불러오기 안내
   useEffect(() => {
-    const q = getQueryParam("data");
-    if (!q) return;
-    try {
-      const incoming = decodeData(q);
-      if (!Array.isArray(incoming)) return;
-      if (confirm("공유 링크에서 데이터를 불러올까요? (현재 목록을 덮어씁니다)")) {
-        setItems(incoming);
+    let alive = true;
+    loadStore().then((store) => {
+      if (!alive) return;
+      if (store.error) {
+        // 읽지 못한 데이터를 덮어쓰지 않도록 저장을 멈춤
+        setLoadState("failed");
+        alert(`저장된 데이터를 읽지 못했습니다.\n${store.error.message}`);
+        return;
       }
+      persisted.current = store;
+      setItems(store.items);
+      setPrograms(store.programs);
+      setLogs(store.logs);
+      setPatients(store.patients);
+      setLoadState("ready");
+    });
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (loadState !== "ready") return;
+    const prev = persisted.current;
+    const next = { items, programs, logs, patients };
+    if (prev && Object.keys(next).every((k) => prev[k] === next[k])) return;
+    persisted.current = next;
+    saveStore(prev, next)
+      .then((written) => {
+        setSaveError(null);
+        if (written) syncRef.current?.notify();
+      })
+      .catch((e) => {
+        console.warn("저장 실패", e);
+        // 다음 저장 때 전체를 다시 씀
+        persisted.current = null;
+        setSaveError(describeSaveError(e));
+      });
+  }, [loadState, items, programs, logs, patients]);
+
+  // 새 버전이 설치되어 기다리는 중이면 교체 함수가 들어 있음
+  const [applyUpdate, setApplyUpdate] = useState(null);
+  useEffect(() => {
+    registerServiceWorker((apply) => setApplyUpdate(() => apply));
+  }, []);
+
+  // --- 다른 탭과 동기화 ---
+
+  const syncRef = useRef(null);
+  const latest = useRef(null);
+  latest.current = { items, programs, logs, patients, pullRemote };
+
+  useEffect(() => {
+    if (loadState !== "ready") return;
+    const sync = openSync(() => latest.current.pullRemote());
+    syncRef.current = sync;
+    return () => {
+      syncRef.current = null;
+      sync.close();
+    };
+  }, [loadState]);
+
+  async function pullRemote() {
+    let remote;
+    try {
+      remote = await readStore();
     } catch (e) {
-      console.warn("링크 데이터 파싱 실패", e);
-    } finally {
-      // 한 번 처리 후 주소 정리
-      setQueryParam("data", null);
+      console.warn("다른 탭 데이터 읽기 실패", e);
+      setSaveError(e.message);
+      return;
     }
-  }, []);
+    // 읽는 동안 이 탭에서 바뀐 내용까지 포함해 합침
+    const { items: localItems, programs: localPrograms, logs: localLogs, patients: localPatients } = latest.current;
+    const base = persisted.current;
+    const mergedItems = mergeRemote(base?.items, localItems, remote.items, (mine, theirs) => {
+      const keep = newerOf(mine, theirs);
+      return keepAsRevision(keep, keep === mine ? theirs : mine);
+    });
+    const mergedPrograms = mergeRemote(base?.programs, localPrograms, remote.programs, newerOf);
+    const mergedLogs = mergeRemote(base?.logs, localLogs, remote.logs, newerOf);
+    const mergedPatients = mergeRemote(base?.patients, localPatients, remote.patients, newerOf);
+    persisted.current = {
+      items: mergedItems.persisted,
+      programs: mergedPrograms.persisted,
+      logs: mergedLogs.persisted,
+      patients: mergedPatients.persisted,
+    };
+    if (mergedItems.changed) {
+      setItems(mergedItems.list);
+      // 되돌리기 기록은 다른 탭의 변경을 모르므로 비움 (되돌리면 그 변경을 덮어쓰게 됨)
+      setHistory({ past: [], future: [] });
+    }
+    if (mergedPrograms.changed) setPrograms(mergedPrograms.list);
+    if (mergedLogs.changed) setLogs(mergedLogs.list);
+    if (mergedPatients.changed) setPatients(mergedPatients.list);
+    const conflicts = mergedItems.conflicts.length + mergedPrograms.conflicts.length;
+    if (conflicts)
+      toast(`다른 탭에서 동시에 수정된 항목 ${conflicts}개: 최근 수정본을 남기고 나머지는 이력에 보관했습니다.`);
+  }
+
+  function retrySave() {
+    const next = { items, programs, logs, patients };
+    saveStore(null, next)
+      .then(() => {
+        persisted.current = next;
+        setSaveError(null);
+        syncRef.current?.notify();
+        toast("저장했습니다.");
+      })
+      .catch((e) => setSaveError(describeSaveError(e)));
+  }
+
+  // ✨ 주소에 공유 데이터(#d= 또는 예전 ?data=)가 있으면 읽기 전용 화면으로 열기
+  // 주소는 그대로 두어 새로고침/즐겨찾기해도 다시 볼 수 있게 함
+  useEffect(() => {
+    if (!launch.token) return;
+    decodeShare(launch.token)
+      .then((data) => {
+        const { items: shared, rejected } = validateStore(migrate(data), { makeId: uid });
+        setSharedView({ raw: data, items: shared, rejected });
+      })
+      .catch((e) => {
+        console.warn("링크 데이터 파싱 실패", e);
+        clearShareToken();
+        setSharedFailed(true);
+        alert(`공유 링크의 데이터를 읽지 못했어요.\n${e.message}`);
+      });
+  }, [launch]);
+
+  // 휴지통에 있는 항목(deletedAt)은 목록/공유/프로그램 어디에도 나오지 않음
+  const activeItems = useMemo(() => items.filter((it) => !it.deletedAt), [items]);
+  const trashItems = useMemo(
+    () => items.filter((it) => it.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt),
+    [items]
+  );
+
+  const tagCounts = useMemo(() => countTags(activeItems), [activeItems]);
+  const regionCounts = useMemo(() => {
+    const counts = {};
+    for (const it of activeItems) for (const r of it.regions || []) counts[r] = (counts[r] || 0) + 1;
+    return counts;
+  }, [activeItems]);
+  // 자동완성/태그 관리는 휴지통 항목의 태그까지 포함
+  const allTagCounts = useMemo(() => countTags(items), [items]);
+
+  // 태그 필터를 먼저 적용하고, 검색어가 있으면 관련도 순 (같은 점수끼리는 선택한 정렬)
+  // 고정한 항목은 어느 정렬이든 맨 위
+  const search = useMemo(() => {
+    const compare = compareBy(sortKey);
+    const base = activeItems.filter(
+      (it) => hasTags(it, tagFilter.tags, tagFilter.mode) && hasRegion(it, regionFilter)
+    );
+    const result = searchItems(base, query, compare) || { items: base.sort(compare), hits: new Map() };
+    return { ...result, items: pinnedFirst(result.items) };
+  }, [activeItems, query, sortKey, tagFilter, regionFilter]);
+  // 직접 정한 순서일 때만 끌어서 옮기기
+  const manualOrder = sortKey === "manual";
+  const filtered = search.items;
+
+  const selected = useMemo(
+    () => activeItems.find((it) => it.id === selectedId) || null,
+    [activeItems, selectedId]
+  );
+
+  const filteredTrash = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return q ? trashItems.filter((it) => it.title.toLowerCase().includes(q)) : trashItems;
+  }, [trashItems, query]);
+
+  // 편집 중인 항목이 다른 탭에서 바뀌었거나 삭제됐으면 모달에 경고
+  const editingCurrent = editingId ? items.find((it) => it.id === editingId) || null : null;
+  const editConflict =
+    modalOpen && editingBase
+      ? !editingCurrent
+        ? "deleted"
+        : editingCurrent.deletedAt && !editingBase.deletedAt
+          ? "trashed"
+          : editingCurrent.updatedAt !== editingBase.updatedAt
+            ? "changed"
+            : null
+      : null;
+
+  const selectedTrash = trashItems.find((it) => it.id === selectedTrashId) || null;
+  const revisionItem = activeItems.find((it) => it.id === revisionItemId) || null;
+
+  const checkedItems = useMemo(
+    () => activeItems.filter((it) => checkedIds.has(it.id)),
+    [activeItems, checkedIds]
+  );
+
+  function openItemsHandout(list) {
+    setHandout({
+      title: list.length === 1 ? list[0].title : "",
+      entries: list.map((item) => ({ item, dosage: formatDosage(item.dosage) })),
+    });
+  }
+
+  function openProgramHandout(program) {
+    const byId = new Map(activeItems.map((it) => [it.id, it]));
+    setHandout({
+      title: program.name,
+      entries: (program.entries || [])
+        .filter((e) => byId.has(e.itemId))
+        .map((e) => ({ item: byId.get(e.itemId), dosage: formatEntryDosage(e) })),
+    });
+  }
+
+  function toggleChecked(id) {
+    setCheckedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
 
-  const filtered = useMemo(() => {
+  const filteredPrograms = useMemo(() => {
     const q = query.trim().toLowerCase();
     const base = q
-      ? items.filter((it) => {
-          const hay = `${it.title}\n${it.content || ""}\n${it.caution || ""}\n${
-            (it.tags || []).join(" ")
-          }`.toLowerCase();
-          return hay.includes(q);
-        })
-      : items;
-
-    const sorted = [...base].sort((a, b) => {
-      if (sortKey === "title") return a.title.localeCompare(b.title, "ko");
-      return (b[sortKey] || 0) - (a[sortKey] || 0);
+      ? programs.filter((p) => `${p.name}\n${p.target || ""}`.toLowerCase().includes(q))
+      : programs;
+    // 프로그램에는 수동 순서/공유 기록이 없으므로 그 밖의 정렬은 최근 수정 순
+    const key = PROGRAM_SORT_KEYS.includes(sortKey) ? sortKey : "updatedAt";
+    return [...base].sort((a, b) => {
+      if (key === "title") return a.name.localeCompare(b.name, "ko");
+      return (b[key] || 0) - (a[key] || 0);
     });
+  }, [programs, query, sortKey]);
 
-    return sorted;
-  }, [items, query, sortKey]);
+  // 검토 필요: 다음 검토일이 지났거나 오늘인 환자 (급한 순)
+  const today = todayString();
+  const duePatients = useMemo(() => dueForReview(patients, today), [patients, today]);
+  const filteredPatients = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const base = patientFilter === "due" ? duePatients : [...patients].sort((a, b) => a.name.localeCompare(b.name, "ko"));
+    return q ? base.filter((p) => `${p.name}\n${p.diagnosis}`.toLowerCase().includes(q)) : base;
+  }, [patients, duePatients, patientFilter, query]);
+  const selectedPatient = patients.find((p) => p.id === selectedPatientId) || null;
+  const patientLogs = useMemo(() => logs.filter((l) => l.patientId === selectedPatientId), [logs, selectedPatientId]);
 
-  const selected = useMemo(
-    () => items.find((it) => it.id === selectedId) || null,
-    [items, selectedId]
+  const selectedProgram = useMemo(
+    () => programs.find((p) => p.id === selectedProgramId) || null,
+    [programs, selectedProgramId]
   );
 
   function resetForm() {
@@ -166,45 +463,121 @@ export default function App() {
     setTitle("");
     setContent("");
     setCaution("");
-    setLink("");
-    setTagsText("");
+    setResourcesForm([]);
+    setTagsForm([]);
+    setDosageForm(dosageToForm(null));
+    setClassForm(EMPTY_CLASSIFICATION);
+    setLinksForm(EMPTY_LINKS);
+    setImagesForm([]);
+    setDraftImageIds([]);
   }
 
   function openAdd() {
+    setEditingBase(null);
     resetForm();
     setModalOpen(true);
   }
 
   function openEdit(item) {
     setEditingId(item.id);
+    setEditingBase(item);
     setTitle(item.title || "");
     setContent(item.content || "");
     setCaution(item.caution || "");
-    setLink(item.link || "");
-    setTagsText((item.tags || []).join(", "));
+    setResourcesForm(resourcesToForm(item.resources));
+    setTagsForm(item.tags || []);
+    setDosageForm(dosageToForm(item.dosage));
+    setClassForm(normalizeClassification(item));
+    setLinksForm({
+      harderId: item.harderId ?? null,
+      alternativeIds: item.alternativeIds || [],
+      progressRule: item.progressRule || "",
+    });
+    setImagesForm((item.images || []).map((img) => ({ ...img })));
+    setDraftImageIds([]);
     setModalOpen(true);
   }
 
+  // 다른 탭에서 바뀐 최신 내용으로 편집 양식을 다시 채움 (이번에 올린 사진은 버림)
+  function reloadEditing() {
+    deleteImages(draftImageIds).catch((e) => console.warn("이미지 정리 실패", e));
+    openEdit(editingCurrent);
+  }
+
+  function closeModal() {
+    deleteImages(draftImageIds).catch((e) => console.warn("이미지 정리 실패", e));
+    setDraftImageIds([]);
+    setModalOpen(false);
+  }
+
+  async function handleAddImages(files) {
+    setImagesBusy(true);
+    try {
+      for (const file of files) {
+        const id = uid();
+        await putImage(id, await prepareImage(file));
+        setDraftImageIds((prev) => [...prev, id]);
+        setImagesForm((prev) => [...prev, { id, caption: "" }]);
+      }
+    } catch (e) {
+      alert(`사진을 추가하지 못했습니다.\n${e.message}`);
+    } finally {
+      setImagesBusy(false);
+    }
+  }
+
   function handleSave() {
+    if (editingId && !items.some((it) => it.id === editingId)) {
+      alert("다른 탭에서 이 항목을 영구 삭제했습니다. 내용을 복사해 새 운동법으로 추가하세요.");
+      return;
+    }
     const t = title.trim();
     if (!t) {
       alert("제목은 필수입니다.");
       return;
     }
+    const dosageError = validateDosageForm(dosageForm);
+    if (dosageError) {
+      alert(dosageError);
+      return;
+    }
+    const dosage = normalizeDosage(dosageForm);
+    const resourcesError = validateResourcesForm(resourcesForm);
+    if (resourcesError) {
+      alert(resourcesError);
+      return;
+    }
+    const resources = formToResources(resourcesForm);
+    const dupes = duplicateResources(resources);
+    if (dupes.length && !confirm(`같은 자료가 두 번 이상 들어 있습니다.\n${dupes.join("\n")}\n\n그대로 저장할까요?`)) return;
 
     const now = Date.now();
-    const tags = tagsText
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean);
+    const tags = cleanTags(tagsForm);
+    const images = imagesForm.map((img) => ({ id: img.id, caption: img.caption.trim() }));
+    const links = { ...linksForm, progressRule: linksForm.progressRule.trim() };
 
     if (editingId) {
-      setItems((prev) =>
-        prev.map((it) =>
+      // 빠진 사진은 되돌리기/수정 이력에서 다시 쓸 수 있으므로 휴지통 비울 때 정리
+      commitItems(
+        items.map((it) =>
           it.id === editingId
-            ? { ...it, title: t, content, caution, link, tags, updatedAt: now }
+            ? withRevision(it, {
+                ...it,
+                title: t,
+                content,
+                caution,
+                resources,
+                tags,
+                dosage,
+                ...classForm,
+                ...links,
+                images,
+                deletedAt: null,
+                updatedAt: now,
+              })
             : it
-        )
+        ),
+        `"${t}" 수정`
       );
       setSelectedId(editingId);
     } else {
@@ -214,81 +587,522 @@ export default function App() {
         title: t,
         content,
         caution,
-        link,
+        resources,
         tags,
+        dosage,
+        ...classForm,
+        ...links,
+        images,
+        revisions: [],
+        deletedAt: null,
+        order: topOrder(items),
+        pinned: false,
+        shareCount: 0,
+        lastSharedAt: null,
         createdAt: now,
         updatedAt: now,
       };
-      setItems((prev) => [item, ...prev]);
+      commitItems([item, ...items], `"${t}" 추가`);
       setSelectedId(id);
     }
 
+    setDraftImageIds([]);
     setModalOpen(false);
   }
 
+  // --- 되돌리기/다시 실행 ---
+
+  // 운동 목록을 바꾸는 모든 작업은 여기를 거쳐 되돌리기 스택에 쌓임
+  function commitItems(next, label) {
+    setHistory((h) => ({ past: [...h.past, { items, label }].slice(-HISTORY_LIMIT), future: [] }));
+    setItems(next);
+  }
+
+  function undo() {
+    const last = history.past[history.past.length - 1];
+    if (!last) return;
+    setHistory({ past: history.past.slice(0, -1), future: [{ items, label: last.label }, ...history.future] });
+    setItems(keepShareStats(last.items, items));
+    toast(`되돌림: ${last.label}`);
+  }
+
+  function redo() {
+    const next = history.future[0];
+    if (!next) return;
+    setHistory({ past: [...history.past, { items, label: next.label }], future: history.future.slice(1) });
+    setItems(keepShareStats(next.items, items));
+    toast(`다시 실행: ${next.label}`);
+  }
+
+  // 입력 중이 아닐 때 Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z (또는 Ctrl+Y)
+  const undoRef = useRef(null);
+  undoRef.current = { undo, redo };
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undoRef.current.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") undoRef.current.redo();
+      else return;
+      e.preventDefault();
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // --- 휴지통 ---
+
+  // 다른 운동이 다음 단계/대체 운동으로 가리키고 있으면 한 번 더 물음
+  function confirmDanglingLinks(ids) {
+    const refs = referencesTo(items, ids);
+    if (!refs.length) return true;
+    const names = refs
+      .slice(0, 5)
+      .map((it) => `· ${it.title}`)
+      .join("\n");
+    const more = refs.length > 5 ? `\n외 ${refs.length - 5}개` : "";
+    return confirm(
+      `다음 운동이 삭제할 운동을 다음 단계나 대체 운동으로 쓰고 있습니다.\n${names}${more}\n\n` +
+        "휴지통으로 옮기면 연결이 보이지 않고, 복원하면 다시 나타납니다. 계속할까요?"
+    );
+  }
+
   function handleDelete(item) {
-    if (!confirm(`정말 삭제하시겠어요?\n[${item.title}]`)) return;
-    setItems((prev) => prev.filter((it) => it.id !== item.id));
+    if (!confirmDanglingLinks(new Set([item.id]))) return;
+    const now = Date.now();
+    commitItems(
+      items.map((it) => (it.id === item.id ? { ...it, deletedAt: now } : it)),
+      `"${item.title}" 삭제`
+    );
     if (selectedId === item.id) setSelectedId(null);
+    toast(`"${item.title}"을(를) 휴지통으로 옮겼습니다.`, { label: "되돌리기", onClick: () => undoRef.current.undo() });
+  }
+
+  function handleRestore(item) {
+    commitItems(
+      items.map((it) => (it.id === item.id ? { ...it, deletedAt: null } : it)),
+      `"${item.title}" 복원`
+    );
+    toast(`"${item.title}"을(를) 복원했습니다.`);
+  }
+
+  // 영구 삭제는 되돌릴 수 없으므로 되돌리기 기록에서도 지움
+  function purgeItems(ids, message) {
+    if (!confirm(message)) return;
+    const next = unlinkIds(items.filter((it) => !ids.has(it.id)), ids);
+    setItems(next);
+    setHistory({ past: [], future: [] });
+    if (ids.has(selectedTrashId)) setSelectedTrashId(null);
+    pruneImages(new Set(collectAllImageIds(next))).catch((e) => console.warn("이미지 정리 실패", e));
+  }
+
+  function handleMergeTags(from, to) {
+    const now = Date.now();
+    commitItems(
+      mergeTags(items, from, to, (it, tags) => withRevision(it, { ...it, tags, updatedAt: now })),
+      from.length === 1 ? `태그 "${from[0]}" 이름 바꾸기` : `태그 ${from.length}개 합치기`
+    );
+    // 필터에 걸어 둔 태그도 새 이름으로
+    setTagFilter((f) =>
+      f.tags.some((t) => from.includes(t))
+        ? { ...f, tags: cleanTags(f.tags.map((t) => (from.includes(t) ? to : t))) }
+        : f
+    );
+    toast(`태그를 "${to}"(으)로 정리했습니다.`, { label: "되돌리기", onClick: () => undoRef.current.undo() });
+  }
+
+  // --- 여러 항목 한꺼번에 ---
+
+  function bulkDelete() {
+    const ids = new Set(checkedItems.map((it) => it.id));
+    if (!confirmDanglingLinks(ids)) return;
+    const now = Date.now();
+    commitItems(
+      items.map((it) => (ids.has(it.id) ? { ...it, deletedAt: now } : it)),
+      `${ids.size}개 삭제`
+    );
+    if (ids.has(selectedId)) setSelectedId(null);
+    setCheckedIds(new Set());
+    toast(`${ids.size}개 항목을 휴지통으로 옮겼습니다.`, { label: "되돌리기", onClick: () => undoRef.current.undo() });
+  }
+
+  function bulkTags(add, remove) {
+    const ids = new Set(checkedItems.map((it) => it.id));
+    const drop = new Set(remove);
+    const now = Date.now();
+    commitItems(
+      items.map((it) => {
+        if (!ids.has(it.id)) return it;
+        const tags = cleanTags([...(it.tags || []).filter((t) => !drop.has(t)), ...add]);
+        return withRevision(it, { ...it, tags, updatedAt: now });
+      }),
+      `${ids.size}개 태그 변경`
+    );
+    setBulkTagOpen(false);
+    toast(`${ids.size}개 항목의 태그를 바꿨습니다.`, { label: "되돌리기", onClick: () => undoRef.current.undo() });
+  }
+
+  // 사진은 같은 이미지를 함께 씀 (사진 파일은 휴지통 비울 때 아무도 안 쓰면 정리)
+  function bulkDuplicate() {
+    const now = Date.now();
+    const top = topOrder(items);
+    const copies = checkedItems.map((it, i) => ({
+      ...it,
+      id: uid(),
+      title: `${it.title} (복사본)`.slice(0, 80),
+      // 다음 단계는 원본이 이미 가리키므로 복사본은 갈래를 만들지 않게 비움
+      harderId: null,
+      revisions: [],
+      deletedAt: null,
+      order: top - checkedItems.length + 1 + i,
+      pinned: false,
+      shareCount: 0,
+      lastSharedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    }));
+    commitItems([...copies, ...items], `${copies.length}개 복제`);
+    setCheckedIds(new Set(copies.map((it) => it.id)));
+    toast(`${copies.length}개 항목을 복제했습니다. 복사본이 선택되어 있습니다.`);
+  }
+
+  // --- 순서/고정 ---
+
+  useEffect(() => {
+    if (!focusHandleId) return;
+    handleRefs.current.get(focusHandleId)?.focus();
+    setFocusHandleId(null);
+  }, [focusHandleId, items]);
+
+  function reorderItems(dragId, targetId, after) {
+    const next = moveItem(items, dragId, targetId, after);
+    if (!next) {
+      if (dragId !== targetId) toast("고정한 항목과 아닌 항목 사이로는 옮길 수 없습니다.");
+      return false;
+    }
+    commitItems(next, "순서 변경");
+    return true;
+  }
+
+  // 키보드(↑/↓): 지금 보이는 목록에서 바로 위/아래 항목 자리로
+  function moveBy(item, delta) {
+    const idx = filtered.findIndex((it) => it.id === item.id);
+    const target = filtered[idx + delta];
+    if (!target) return;
+    if (reorderItems(item.id, target.id, delta > 0)) setFocusHandleId(item.id);
+  }
+
+  function togglePin(item) {
+    commitItems(
+      items.map((it) => (it.id === item.id ? { ...it, pinned: !it.pinned } : it)),
+      item.pinned ? `"${item.title}" 고정 해제` : `"${item.title}" 고정`
+    );
+  }
+
+  function dropOn(e, target) {
+    e.preventDefault();
+    if (drag && drag.overId === target.id) reorderItems(drag.id, target.id, drag.after);
+    setDrag(null);
+  }
+
+  function toggleRegionFilter(key) {
+    setRegionFilter((list) => (list.includes(key) ? list.filter((k) => k !== key) : [...list, key]));
+  }
+
+  function toggleTagFilter(tag) {
+    setTagFilter((f) => ({
+      ...f,
+      tags: f.tags.includes(tag) ? f.tags.filter((t) => t !== tag) : [...f.tags, tag],
+    }));
+  }
+
+  function handleRestoreRevision(item, rev) {
+    const { at: _at, ...fields } = rev;
+    commitItems(
+      items.map((it) => (it.id === item.id ? withRevision(it, { ...it, ...fields, updatedAt: Date.now() }) : it)),
+      `"${item.title}" 이전 버전 복원`
+    );
+    setRevisionItemId(null);
+    toast("이전 버전으로 복원했습니다.", { label: "되돌리기", onClick: () => undoRef.current.undo() });
+  }
+
+  function openAddProgram() {
+    setEditingProgramId(null);
+    setProgramModalOpen(true);
+  }
+
+  function handleSaveProgram(draft) {
+    const now = Date.now();
+    if (editingProgramId) {
+      setPrograms((prev) =>
+        prev.map((p) => (p.id === editingProgramId ? { ...p, ...draft, updatedAt: now } : p))
+      );
+      setSelectedProgramId(editingProgramId);
+    } else {
+      const id = uid();
+      setPrograms((prev) => [{ id, ...draft, createdAt: now, updatedAt: now }, ...prev]);
+      setSelectedProgramId(id);
+    }
+    setProgramModalOpen(false);
+  }
+
+  function handleDeleteProgram(program) {
+    if (!confirm(`프로그램을 삭제하시겠어요?\n[${program.name}]\n(운동법 자체는 삭제되지 않습니다)`)) return;
+    setPrograms((prev) => prev.filter((p) => p.id !== program.id));
+    if (selectedProgramId === program.id) setSelectedProgramId(null);
+  }
+
+  // --- 운동 기록 ---
+
+  function openAddLog(initial) {
+    if (!patients.length) {
+      toast("먼저 환자를 등록하세요.");
+      setView("patients");
+      setPatientModal({ initial: null });
+      return;
+    }
+    setLogModal({ initial: { patientId: selectedPatientId || "", ...initial } });
+  }
+
+  function handleSaveLog(draft) {
+    const now = Date.now();
+    if (draft.id) {
+      setLogs((prev) => prev.map((l) => (l.id === draft.id ? { ...l, ...draft, updatedAt: now } : l)));
+    } else {
+      setLogs((prev) => [{ ...draft, id: uid(), createdAt: now, updatedAt: now }, ...prev]);
+    }
+    setSelectedPatientId(draft.patientId);
+    setLogModal(null);
+    toast(`${patients.find((p) => p.id === draft.patientId)?.name} 기록을 저장했습니다.`);
+  }
+
+  function handleDeleteLog(log) {
+    if (!confirm(`${log.date} 기록을 삭제하시겠어요?`)) return;
+    setLogs((prev) => prev.filter((l) => l.id !== log.id));
+  }
+
+  function handleSavePatient(draft) {
+    const now = Date.now();
+    if (draft.id) {
+      setPatients((prev) => prev.map((p) => (p.id === draft.id ? { ...p, ...draft, updatedAt: now } : p)));
+    } else {
+      const id = uid();
+      setPatients((prev) => [{ ...draft, id, createdAt: now, updatedAt: now }, ...prev]);
+      setSelectedPatientId(id);
+    }
+    setPatientModal(null);
+  }
+
+  // 환자를 지우면 그 환자의 기록도 함께 지움
+  function handleDeletePatient(patient) {
+    const count = logs.filter((l) => l.patientId === patient.id).length;
+    if (!confirm(`환자 "${patient.name}"을(를) 삭제하시겠어요?${count ? `\n기록 ${count}개도 함께 삭제됩니다.` : ""}`))
+      return;
+    setPatients((prev) => prev.filter((p) => p.id !== patient.id));
+    setLogs((prev) => prev.filter((l) => l.patientId !== patient.id));
+    if (selectedPatientId === patient.id) setSelectedPatientId(null);
+  }
+
+  function assignedItems(patient) {
+    const byId = new Map(activeItems.map((it) => [it.id, it]));
+    const out = [];
+    for (const a of patient.assignments) {
+      if (a.targetType === "item") {
+        if (byId.has(a.targetId)) out.push(byId.get(a.targetId));
+        continue;
+      }
+      const program = programs.find((p) => p.id === a.targetId);
+      for (const e of program?.entries || []) if (byId.has(e.itemId)) out.push(byId.get(e.itemId));
+    }
+    return [...new Set(out)];
   }
 
   const [toasts, setToasts] = useState([]);
-  function toast(msg) {
+  // action: { label, onClick } — 토스트 안에 버튼 (예: 되돌리기), 이때는 좀 더 오래 보여줌
+  function toast(msg, action) {
     const id = uid();
-    setToasts((t) => [...t, { id, msg }]);
-    setTimeout(() => setToasts((t) => t.filter((x) => x.id !== id)), 2000);
+    setToasts((t) => [...t, { id, msg, action }]);
+    setTimeout(() => setToasts((t) => t.filter((x) => x.id !== id)), action ? 6000 : 2000);
   }
 
-  function copyToClipboard(text) {
+  // sharedIds: 복사한 운동법 id — 성공하면 공유 기록(많이 공유한/최근 복사한 순 정렬용)에 남김
+  function copyToClipboard(text, sharedIds = []) {
     navigator.clipboard
       .writeText(text)
-      .then(() => toast("클립보드에 복사되었습니다."))
+      .then(() => {
+        recordShare(sharedIds);
+        toast("클립보드에 복사되었습니다.");
+      })
       .catch(() => alert("복사 실패. 브라우저 권한을 확인하세요."));
   }
 
-  function exportJSON() {
-    const blob = new Blob([JSON.stringify(items, null, 2)], { type: "application/json" });
+  function updateSettings(patch) {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    saveSettings(next);
+  }
+
+  // 사용 기록이라 되돌리기 대상에서는 뺌 (되돌려도 공유 기록은 keepShareStats 로 유지)
+  function recordShare(ids) {
+    if (ids.length) setItems((prev) => recordShares(prev, ids));
+  }
+
+  // 백업 파일: 봉투 + assets(이미지 id → data URL)
+  // subset 을 주면 그 운동법만 (프로그램/환자 제외) — 가져오는 쪽의 프로그램/환자는 건드리지 않음
+  // anonymous: 환자 이름/진단/메모를 빼고 날짜는 간격만 남겨 내보냄 (환자 id 도 새로, patients.js anonymize 참고)
+  async function exportJSON(subset, { anonymous = false } = {}) {
+    const store = subset
+      ? { items: subset, programs: [] }
+      : { items, programs, ...(anonymous ? anonymize(patients, logs) : { logs, patients }) };
+    let assets = {};
+    try {
+      assets = await exportImages(collectAllImageIds(store.items));
+    } catch (e) {
+      console.warn("이미지 내보내기 실패", e);
+      toast("이미지를 읽지 못해 텍스트만 내보냅니다.");
+    }
+    const blob = new Blob([JSON.stringify({ ...toEnvelope(store), assets }, null, 2)], {
+      type: "application/json",
+    });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `exercise-list-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.json`;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    a.download = subset
+      ? `exercise-list-selected-${subset.length}-${stamp}.json`
+      : `exercise-list${anonymous ? "-anonymous" : ""}-${stamp}.json`;
     document.body.appendChild(a);
     a.click();
     a.remove();
     URL.revokeObjectURL(url);
   }
 
+  const importRows = useMemo(
+    () => (pendingImport ? planMerge(items, pendingImport.items) : []),
+    [items, pendingImport]
+  );
+
+  function applyImport({ mode, choices }) {
+    const { items: incItems, programs: incPrograms, logs: incLogs, patients: incPatients, assets } = pendingImport;
+    let nextItems;
+    if (mode === "replace") {
+      nextItems = incItems;
+      commitItems(incItems, `가져오기 (${pendingImport.source})`);
+      if (incPrograms) setPrograms(incPrograms);
+      if (incPatients) {
+        setPatients(incPatients);
+        setLogs(incLogs || []);
+      }
+    } else {
+      const { list, idMap } = applyMerge(items, importRows, choices, uid);
+      let programIdMap = {};
+      // 원래 있던 운동은 내 순서/고정/공유 기록 유지, 새 운동은 맨 위에
+      nextItems = keepLocalOrder(remapLinks(list, idMap, items), items);
+      commitItems(nextItems, `가져오기 (${pendingImport.source})`);
+      if (incPrograms) {
+        // 제목으로 합쳐진 운동은 id 가 바뀌므로 프로그램 항목도 다시 연결
+        const remapped = incPrograms.map((p) => ({
+          ...p,
+          entries: (p.entries || []).map((e) => ({ ...e, itemId: idMap[e.itemId] ?? e.itemId })),
+        }));
+        const rows = planMerge(programs, remapped, { titleOf: (p) => p.name });
+        const merged = applyMerge(programs, rows, {}, uid);
+        setPrograms(merged.list);
+        programIdMap = merged.idMap;
+      }
+      if (incPatients) {
+        // 배정 운동도 바뀐 운동/프로그램 id 로 다시 연결하고, 같은 이름의 환자는 하나로 봄
+        const remapped = incPatients.map((p) => ({
+          ...p,
+          assignments: p.assignments.map((a) => ({
+            ...a,
+            targetId: (a.targetType === "program" ? programIdMap : idMap)[a.targetId] ?? a.targetId,
+          })),
+        }));
+        const rows = planMerge(patients, remapped, { titleOf: (p) => p.name });
+        const merged = applyMerge(patients, rows, {}, uid);
+        setPatients(merged.list);
+        setLogs(mergeLogs(logs, incLogs || [], { items: idMap, programs: programIdMap, patients: merged.idMap }));
+      }
+    }
+    // 최종 목록에서 쓰이는 이미지만 저장
+    const used = new Set(collectAllImageIds(nextItems));
+    const toStore = Object.fromEntries(Object.entries(assets).filter(([id]) => used.has(id)));
+    importImages(toStore).catch((e) => {
+      console.warn("이미지 가져오기 실패", e);
+      toast("일부 이미지를 저장하지 못했습니다.");
+    });
+    setPendingImport(null);
+    toast("가져오기 완료");
+  }
+
+  // 모든 외부 데이터(파일/링크)는 마이그레이션 → 검증을 거친 뒤 미리보기로
+  function stageImport(raw, source) {
+    const {
+      items: incItems,
+      programs: incPrograms,
+      logs: incLogs,
+      patients: incPatients,
+      rejected,
+      warnings,
+    } = validateStore(migrate(raw), { makeId: uid });
+    // 프로그램/환자가 담기지 않은 데이터(예전 파일, 공유 링크)면 내 프로그램/환자는 건드리지 않음
+    const hasPrograms = Array.isArray(raw?.programs) && raw.programs.length > 0;
+    const hasPatients = incPatients.length > 0;
+    const images = validateAssets(raw?.assets, incItems);
+    setPendingImport({
+      items: incItems,
+      programs: hasPrograms ? incPrograms : null,
+      logs: hasPatients ? incLogs : null,
+      patients: hasPatients ? incPatients : null,
+      assets: images.assets,
+      rejected,
+      warnings: [...warnings, ...images.warnings],
+      source,
+    });
+  }
+
   function importJSON(file) {
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const data = JSON.parse(reader.result);
-        if (!Array.isArray(data)) throw new Error("형식 오류");
-        const safe = data
-          .filter((d) => d && d.id && d.title)
-          .map((d) => ({
-            id: d.id || uid(),
-            title: String(d.title || "무제"),
-            content: String(d.content || ""),
-            caution: String(d.caution || ""),
-            link: String(d.link || ""),
-            tags: Array.isArray(d.tags) ? d.tags.map(String) : [],
-            createdAt: Number(d.createdAt) || Date.now(),
-            updatedAt: Number(d.updatedAt) || Date.now(),
-          }));
-        setItems(safe);
-        toast("가져오기 완료");
+        stageImport(JSON.parse(reader.result), file.name);
       } catch (e) {
-        alert("가져오기 실패: 유효한 JSON 파일이 아닙니다.");
+        alert(`가져오기 실패: ${e instanceof SyntaxError ? "유효한 JSON 파일이 아닙니다." : e.message}`);
       }
     };
     reader.readAsText(file);
   }
 
+  if (launch.patient && !sharedFailed) {
+    // 링크 해석 중에는 빈 화면, 데이터 없이 ?mode=patient 만 있으면 내 목록을 환자용으로
+    if (launch.token ? !sharedView : loadState === "loading") return null;
+    return <PatientView items={sharedView ? sharedView.items : activeItems} />;
+  }
+
+  if (sharedView) {
+    return (
+      <SharedView
+        items={sharedView.items}
+        rejectedCount={sharedView.rejected.length}
+        onExit={() => {
+          clearShareToken();
+          setSharedView(null);
+        }}
+        onSave={() => {
+          stageImport(sharedView.raw, "공유 링크");
+          clearShareToken();
+          setSharedView(null);
+        }}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-white to-gray-50">
       {/* 헤더 */}
-      <header className="sticky top-0 z-30 border-b bg-white/80 backdrop-blur">
+      <header className="no-print sticky top-0 z-30 border-b bg-white/80 backdrop-blur">
         <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-3">
           <div className="flex items-center gap-3">
             <div className="flex h-9 w-9 items-center justify-center rounded-xl bg-gray-900 text-white">
@@ -301,25 +1115,29 @@ export default function App() {
           </div>
 
           <div className="flex flex-wrap items-center gap-2">
+            <button
+              className="rounded-lg border px-2.5 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-40"
+              onClick={undo}
+              disabled={!history.past.length}
+              title={history.past.length ? `되돌리기: ${history.past[history.past.length - 1].label} (Ctrl+Z)` : "되돌리기"}
+              aria-label="되돌리기"
+            >
+              ↶
+            </button>
+            <button
+              className="rounded-lg border px-2.5 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-40"
+              onClick={redo}
+              disabled={!history.future.length}
+              title={history.future.length ? `다시 실행: ${history.future[0].label} (Ctrl+Shift+Z)` : "다시 실행"}
+              aria-label="다시 실행"
+            >
+              ↷
+            </button>
+
             {/* ✨ 공유 링크 기능 */}
             <button
               className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
-              onClick={() => {
-                try {
-                  const b64 = encodeData(items);
-                  const url = `${location.origin}${location.pathname}?data=${b64}`;
-                  navigator.clipboard
-                    .writeText(url)
-                    .then(() =>
-                      alert(
-                        "공유 링크를 클립보드에 복사했습니다.\n다른 기기에서 이 링크를 열면 불러올 수 있어요."
-                      )
-                    )
-                    .catch(() => prompt("복사 실패. 아래 주소를 직접 복사하세요:", url));
-                } catch {
-                  alert("링크 만들기에 실패했어요.");
-                }
-              }}
+              onClick={() => setShareOpen(true)}
             >
               공유 링크 만들기
             </button>
@@ -329,24 +1147,20 @@ export default function App() {
               onClick={() => {
                 const raw = prompt("공유 링크(URL)를 붙여넣으세요:");
                 if (!raw) return;
+                let token;
                 try {
-                  const u = new URL(raw);
-                  const d = u.searchParams.get("data");
-                  if (!d) {
-                    alert("유효한 공유 링크가 아니에요.");
-                    return;
-                  }
-                  const incoming = decodeData(d);
-                  if (!Array.isArray(incoming)) {
-                    alert("데이터 형식이 올바르지 않아요.");
-                    return;
-                  }
-                  if (confirm("이 링크의 데이터로 현재 목록을 덮어쓸까요?")) {
-                    setItems(incoming);
-                  }
+                  token = readShareToken(raw.trim());
                 } catch {
                   alert("링크를 읽는 중 오류가 났어요.");
+                  return;
                 }
+                if (!token) {
+                  alert("유효한 공유 링크가 아니에요.");
+                  return;
+                }
+                decodeShare(token)
+                  .then((data) => stageImport(data, "붙여넣은 링크"))
+                  .catch((e) => alert(`데이터 형식이 올바르지 않아요.\n${e.message}`));
               }}
             >
               링크에서 불러오기
@@ -355,7 +1169,7 @@ export default function App() {
             {/* 기존: 내보내기/가져오기/새 운동법 */}
             <button
               className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
-              onClick={exportJSON}
+              onClick={() => exportJSON()}
             >
               내보내기
             </button>
@@ -369,31 +1183,237 @@ export default function App() {
               />
             </label>
             <button
-              onClick={openAdd}
+              onClick={view === "programs" ? openAddProgram : view === "patients" ? () => setPatientModal({ initial: null }) : openAdd}
               className="hidden rounded-lg bg-gray-900 px-3 py-1.5 text-sm text-white hover:brightness-110 md:block"
             >
-              + 새 운동법
+              {view === "programs" ? "+ 새 프로그램" : view === "patients" ? "+ 새 환자" : "+ 새 운동법"}
             </button>
           </div>
         </div>
       </header>
 
+      {applyUpdate && (
+        <div className="no-print border-b border-blue-200 bg-blue-50">
+          <div className="mx-auto flex max-w-6xl flex-wrap items-center gap-2 px-4 py-2 text-sm text-blue-900">
+            <span className="flex-1">새 버전이 있습니다. 새로고침하면 적용됩니다.</span>
+            <button
+              className="rounded-lg border border-blue-300 bg-white px-3 py-1 hover:bg-blue-100"
+              onClick={applyUpdate}
+            >
+              새로고침
+            </button>
+          </div>
+        </div>
+      )}
+
+      {(saveError || loadState === "failed") && (
+        <div className="no-print border-b border-red-200 bg-red-50">
+          <div className="mx-auto flex max-w-6xl flex-wrap items-center gap-2 px-4 py-2 text-sm text-red-800">
+            <span className="flex-1">
+              {loadState === "failed"
+                ? "저장된 데이터를 읽지 못해 자동 저장을 멈췄습니다. 새로고침하거나 백업 파일을 가져오세요."
+                : saveError}
+            </span>
+            {loadState === "ready" && (
+              <>
+                <button className="rounded-lg border border-red-300 bg-white px-3 py-1 hover:bg-red-100" onClick={retrySave}>
+                  다시 저장
+                </button>
+                <button
+                  className="rounded-lg border border-red-300 bg-white px-3 py-1 hover:bg-red-100"
+                  onClick={() => exportJSON()}
+                >
+                  백업 내보내기
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* 컨텐츠 */}
-      <main className="mx-auto grid max-w-6xl grid-cols-1 gap-4 px-4 py-4 md:grid-cols-[360px,1fr]">
+      <main className="no-print mx-auto grid max-w-6xl grid-cols-1 gap-4 px-4 py-4 md:grid-cols-[360px_1fr]">
         {/* 좌측: 리스트 & 검색 */}
         <section className="rounded-2xl border bg-white p-3 shadow-sm">
-          <div className="mb-2 flex items-center gap-2">
-            <input
-              type="text"
-              placeholder="검색 (제목/내용/태그)"
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-              className="w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
-            />
+          <div className="mb-2 grid grid-cols-4 gap-1 rounded-lg bg-gray-100 p-1 text-sm">
+            {[
+              ["items", "운동법"],
+              ["programs", "프로그램"],
+              ["patients", `환자${duePatients.length ? ` ⏰${duePatients.length}` : ""}`],
+              ["trash", `휴지통${trashItems.length ? ` ${trashItems.length}` : ""}`],
+            ].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                className={`rounded-md py-1 ${view === key ? "bg-white font-semibold shadow-sm" : "text-gray-500"}`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
+          <div className="mb-2 flex items-start gap-2">
+            <div className="min-w-0 flex-1">
+              <input
+                type="text"
+                placeholder={
+                  view === "programs"
+                    ? "검색 (프로그램 이름/대상)"
+                    : view === "patients"
+                      ? "검색 (환자 이름/진단)"
+                      : "검색 (초성 가능, tag:어깨 caution:통증 -tag:수술후)"
+                }
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
+              />
+              {view === "items" && (
+                <div className="mt-1.5 flex flex-wrap items-center gap-1 text-xs text-gray-500">
+                  {regionFilter.length ? (
+                    <>
+                      {REGIONS.filter((r) => regionFilter.includes(r.key)).map((r) => (
+                        <button
+                          key={r.key}
+                          onClick={() => toggleRegionFilter(r.key)}
+                          className="rounded-full bg-gray-900 px-2 py-0.5 text-white"
+                          aria-label={`${r.label} 부위 필터 해제`}
+                        >
+                          {r.label} ✕
+                        </button>
+                      ))}
+                      <button className="underline underline-offset-2" onClick={() => setRegionFilter([])}>
+                        부위 해제
+                      </button>
+                    </>
+                  ) : (
+                    <span>오른쪽 그림에서 부위를 누르면 해당 운동만 보여요.</span>
+                  )}
+                </div>
+              )}
+            </div>
+            {view === "items" && (
+              <BodyMap
+                value={regionFilter}
+                onToggle={toggleRegionFilter}
+                counts={regionCounts}
+                className="h-28 w-14 shrink-0"
+              />
+            )}
+          </div>
+          {view === "items" && (tagCounts.length > 0 || tagFilter.tags.length > 0) && (
+            <div className="mb-2 rounded-lg border p-2 text-xs">
+              <div className="mb-1.5 flex items-center justify-between gap-2 text-gray-500">
+                <span>태그</span>
+                <div className="flex items-center gap-2">
+                  {tagFilter.tags.length > 1 && (
+                    <div className="flex rounded-md bg-gray-100 p-0.5">
+                      {[
+                        ["or", "하나라도"],
+                        ["and", "모두"],
+                      ].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          onClick={() => setTagFilter((f) => ({ ...f, mode }))}
+                          className={`rounded px-1.5 ${tagFilter.mode === mode ? "bg-white font-semibold shadow-sm" : ""}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {tagFilter.tags.length > 0 && (
+                    <button
+                      className="underline underline-offset-2"
+                      onClick={() => setTagFilter((f) => ({ ...f, tags: [] }))}
+                    >
+                      해제
+                    </button>
+                  )}
+                  <button className="underline underline-offset-2" onClick={() => setTagManagerOpen(true)}>
+                    관리
+                  </button>
+                </div>
+              </div>
+              <div className="flex max-h-24 flex-wrap gap-1 overflow-auto">
+                {/* 고른 태그가 목록에서 사라져도(예: 마지막 항목 삭제) 해제할 수 있게 함께 표시 */}
+                {[
+                  ...tagCounts,
+                  ...tagFilter.tags.filter((t) => !tagCounts.some((c) => c.tag === t)).map((tag) => ({ tag, count: 0 })),
+                ].map(({ tag, count }) => {
+                  const on = tagFilter.tags.includes(tag);
+                  return (
+                    <button
+                      key={tag}
+                      onClick={() => toggleTagFilter(tag)}
+                      aria-pressed={on}
+                      className={`rounded-full border px-2 py-0.5 ${
+                        on ? "border-gray-900 bg-gray-900 text-white" : "hover:bg-gray-50"
+                      }`}
+                    >
+                      #{tag} <span className={on ? "text-gray-300" : "text-gray-400"}>{count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
           <div className="mb-3 flex items-center justify-between text-xs text-gray-500">
-            <div>
-              총 <b>{filtered.length}</b>건
+            <div className="flex items-center gap-2">
+              <span>
+                총{" "}
+                <b>
+                  {view === "items"
+                    ? filtered.length
+                    : view === "programs"
+                      ? filteredPrograms.length
+                      : view === "patients"
+                        ? filteredPatients.length
+                        : filteredTrash.length}
+                </b>
+                {view === "patients" ? "명" : "건"}
+              </span>
+              {view === "trash" && trashItems.length > 0 && (
+                <button
+                  className="text-red-600 underline underline-offset-2"
+                  onClick={() =>
+                    purgeItems(
+                      new Set(trashItems.map((it) => it.id)),
+                      `휴지통의 ${trashItems.length}개 항목을 영구 삭제할까요?\n되돌릴 수 없습니다.`
+                    )
+                  }
+                >
+                  휴지통 비우기
+                </button>
+              )}
+              {view === "items" &&
+                (checkedItems.length ? (
+                  <>
+                    <span>
+                      · 선택 <b>{checkedItems.length}</b>개
+                    </span>
+                    <button className="underline underline-offset-2" onClick={() => setCheckedIds(new Set())}>
+                      해제
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    {filtered.length > 0 && filtered.length < activeItems.length && (
+                      <button
+                        className="underline underline-offset-2"
+                        onClick={() => setCheckedIds(new Set(filtered.map((it) => it.id)))}
+                      >
+                        보이는 {filtered.length}개 선택
+                      </button>
+                    )}
+                    {activeItems.length > 0 && (
+                      <button
+                        className="underline underline-offset-2"
+                        onClick={() => setCheckedIds(new Set(activeItems.map((it) => it.id)))}
+                      >
+                        전체 선택
+                      </button>
+                    )}
+                  </>
+                ))}
             </div>
             <div className="flex items-center gap-2">
               <span>정렬:</span>
@@ -402,53 +1422,423 @@ export default function App() {
                 onChange={(e) => setSortKey(e.target.value)}
                 className="rounded-md border px-2 py-1"
               >
-                <option value="updatedAt">최근 수정</option>
-                <option value="createdAt">최근 추가</option>
-                <option value="title">제목</option>
+                {SORT_OPTIONS.filter((o) => view !== "programs" || PROGRAM_SORT_KEYS.includes(o.key)).map((o) => (
+                  <option key={o.key} value={o.key}>
+                    {o.label}
+                  </option>
+                ))}
               </select>
             </div>
           </div>
 
-          <ul className="-mx-2 max-h-[60vh] overflow-auto pr-1 md:max-h-[72vh]">
-            {filtered.map((it) => (
-              <li key={it.id} className="px-2">
-                <button
-                  onClick={() => setSelectedId(it.id)}
-                  className={`group mb-2 w-full rounded-xl border p-3 text-left hover:bg-gray-50 ${
-                    selectedId === it.id ? "border-gray-900 bg-gray-50" : ""
-                  }`}
-                >
-                  <div className="flex items-center justify-between">
-                    <h3 className="line-clamp-1 text-sm font-semibold">{it.title}</h3>
-                    <div className="text-[10px] text-gray-400">
-                      {new Date(it.updatedAt).toLocaleDateString()}
+          {view === "items" && checkedItems.length > 0 && (
+            <div className="mb-3 flex flex-wrap gap-1.5 rounded-lg bg-gray-900 p-2 text-xs text-white">
+              {[
+                ["삭제", bulkDelete],
+                ["태그", () => setBulkTagOpen(true)],
+                ["복제", bulkDuplicate],
+                ["JSON 내보내기", () => exportJSON(checkedItems)],
+                [
+                  "텍스트 복사",
+                  () => copyToClipboard(
+                    buildItemsShareText(checkedItems, shareTemplate, settings, activeItems),
+                    checkedItems.map((it) => it.id)
+                  ),
+                ],
+                ["인쇄", () => openItemsHandout(checkedItems)],
+              ].map(([label, onClick]) => (
+                <button key={label} className="rounded-md bg-white/10 px-2 py-1 hover:bg-white/20" onClick={onClick}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {view === "items" ? (
+            <ul className="-mx-2 max-h-[60vh] overflow-auto pr-1 md:max-h-[72vh]">
+              {filtered.map((it) => {
+                const hits = search.hits.get(it.id) || {};
+                const excerpt = snippetAround(it.content || "", hits.content);
+                const cautionExcerpt = hits.caution && snippetAround(it.caution, hits.caution);
+                const dropHere = drag && drag.overId === it.id && drag.id !== it.id;
+                return (
+                  <li
+                    key={it.id}
+                    className={`flex items-start gap-2 border-y-2 border-transparent px-2 ${
+                      dropHere ? (drag.after ? "border-b-gray-900" : "border-t-gray-900") : ""
+                    } ${drag?.id === it.id ? "opacity-40" : ""}`}
+                    draggable={manualOrder}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = "move";
+                      e.dataTransfer.setData("text/plain", it.title);
+                      setDrag({ id: it.id, overId: null, after: false });
+                    }}
+                    onDragOver={(e) => {
+                      if (!drag) return;
+                      e.preventDefault();
+                      const rect = e.currentTarget.getBoundingClientRect();
+                      const after = e.clientY > rect.top + rect.height / 2;
+                      if (drag.overId !== it.id || drag.after !== after) setDrag({ ...drag, overId: it.id, after });
+                    }}
+                    onDrop={(e) => dropOn(e, it)}
+                    onDragEnd={() => setDrag(null)}
+                  >
+                    {manualOrder && (
+                      <button
+                        ref={(el) => {
+                          if (el) handleRefs.current.set(it.id, el);
+                          else handleRefs.current.delete(it.id);
+                        }}
+                        className="mt-3 shrink-0 cursor-grab rounded px-0.5 text-gray-400 hover:bg-gray-100 hover:text-gray-700"
+                        title="끌어서 또는 ↑/↓ 키로 순서 바꾸기"
+                        aria-label={`${it.title} 순서 바꾸기 (↑/↓)`}
+                        onKeyDown={(e) => {
+                          if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+                          e.preventDefault();
+                          moveBy(it, e.key === "ArrowUp" ? -1 : 1);
+                        }}
+                      >
+                        ⠿
+                      </button>
+                    )}
+                    <input
+                      type="checkbox"
+                      className="mt-4 h-4 w-4 shrink-0"
+                      checked={checkedIds.has(it.id)}
+                      onChange={() => toggleChecked(it.id)}
+                      aria-label={`${it.title} 선택`}
+                    />
+                    <button
+                      onClick={() => setSelectedId(it.id)}
+                      className={`group mb-2 w-full min-w-0 rounded-xl border p-3 text-left hover:bg-gray-50 ${
+                        selectedId === it.id ? "border-gray-900 bg-gray-50" : ""
+                      }`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <h3 className="line-clamp-1 text-sm font-semibold">
+                          {it.pinned && <span title="고정됨">📌 </span>}
+                          <Highlight text={it.title} ranges={hits.title} />
+                        </h3>
+                        <div className="shrink-0 text-[10px] text-gray-400">
+                          {sortKey === "shareCount" || sortKey === "lastSharedAt"
+                            ? it.lastSharedAt
+                              ? `공유 ${it.shareCount}회 · ${new Date(it.lastSharedAt).toLocaleDateString()}`
+                              : "공유 안 함"
+                            : new Date(it.updatedAt).toLocaleDateString()}
+                        </div>
+                      </div>
+                      {!!(it.tags && it.tags.length) && (
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          {it.tags.map((t, i) => (
+                            <Badge key={t}>
+                              #<Highlight text={t} ranges={hits.tags?.[i]} />
+                            </Badge>
+                          ))}
+                        </div>
+                      )}
+                      {!!it.content && (
+                        <p className="mt-1 line-clamp-2 text-xs text-gray-600">
+                          <Highlight {...excerpt} />
+                        </p>
+                      )}
+                      {cautionExcerpt && (
+                        <p className="mt-1 line-clamp-1 text-xs text-amber-700">
+                          ⚠️ <Highlight {...cautionExcerpt} />
+                        </p>
+                      )}
+                    </button>
+                  </li>
+                );
+              })}
+
+              {filtered.length === 0 && (
+                <li className="px-2 py-8 text-center text-sm text-gray-500">
+                  {loadState === "loading"
+                    ? "불러오는 중…"
+                    : activeItems.length
+                      ? "검색어/태그 조건에 맞는 항목이 없습니다."
+                      : '등록된 항목이 없습니다. 우측 하단 "+" 버튼으로 추가하세요.'}
+                </li>
+              )}
+            </ul>
+          ) : view === "patients" ? (
+            <>
+              <div className="mb-2 flex items-center gap-1 text-xs">
+                {[
+                  ["all", `전체 ${patients.length}`],
+                  ["due", `검토 필요 ${duePatients.length}`],
+                ].map(([key, label]) => (
+                  <button
+                    key={key}
+                    aria-pressed={patientFilter === key}
+                    onClick={() => setPatientFilter(key)}
+                    className={`rounded-full border px-2 py-0.5 ${
+                      patientFilter === key ? "border-gray-900 bg-gray-900 text-white" : "hover:bg-gray-50"
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+                {patients.length > 0 && (
+                  <button
+                    className="ml-auto text-gray-500 underline underline-offset-2"
+                    title="환자 이름·진단명·메모를 빼고, 날짜는 간격만 남긴 백업 파일을 만듭니다"
+                    onClick={() => exportJSON(undefined, { anonymous: true })}
+                  >
+                    익명으로 내보내기
+                  </button>
+                )}
+              </div>
+              <ul className="-mx-2 max-h-[60vh] overflow-auto pr-1 md:max-h-[72vh]">
+                {filteredPatients.map((p) => (
+                  <li key={p.id} className="px-2">
+                    <button
+                      onClick={() => setSelectedPatientId(p.id)}
+                      className={`group mb-2 w-full rounded-xl border p-3 text-left hover:bg-gray-50 ${
+                        selectedPatientId === p.id ? "border-gray-900 bg-gray-50" : ""
+                      }`}
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <h3 className="line-clamp-1 text-sm font-semibold">{p.name}</h3>
+                        <ReviewBadge patient={p} />
+                      </div>
+                      <p className="mt-1 line-clamp-1 text-xs text-gray-600">
+                        {p.diagnosis ? `${p.diagnosis} · ` : ""}운동 {p.assignments.length}개
+                        {p.nextReview ? ` · 검토 ${p.nextReview}` : ""}
+                      </p>
+                    </button>
+                  </li>
+                ))}
+
+                {filteredPatients.length === 0 && (
+                  <li className="px-2 py-8 text-center text-sm text-gray-500">
+                    {patientFilter === "due" && !duePatients.length
+                      ? "검토할 환자가 없습니다."
+                      : patients.length
+                        ? "검색어에 맞는 환자가 없습니다."
+                        : '등록된 환자가 없습니다. "+" 버튼으로 추가하세요. 환자 정보는 이 기기에만 저장됩니다.'}
+                  </li>
+                )}
+              </ul>
+            </>
+          ) : view === "trash" ? (
+            <ul className="-mx-2 max-h-[60vh] overflow-auto pr-1 md:max-h-[72vh]">
+              {filteredTrash.map((it) => (
+                <li key={it.id} className="px-2">
+                  <button
+                    onClick={() => setSelectedTrashId(it.id)}
+                    className={`group mb-2 w-full rounded-xl border p-3 text-left hover:bg-gray-50 ${
+                      selectedTrashId === it.id ? "border-gray-900 bg-gray-50" : ""
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <h3 className="line-clamp-1 text-sm font-semibold text-gray-600">{it.title}</h3>
+                      <div className="text-[10px] text-gray-400">
+                        {new Date(it.deletedAt).toLocaleDateString()} 삭제
+                      </div>
                     </div>
-                  </div>
-                  {!!(it.tags && it.tags.length) && (
-                    <div className="mt-1 flex flex-wrap gap-1">
-                      {it.tags.map((t) => (
-                        <Badge key={t}>#{t}</Badge>
-                      ))}
+                  </button>
+                </li>
+              ))}
+
+              {filteredTrash.length === 0 && (
+                <li className="px-2 py-8 text-center text-sm text-gray-500">휴지통이 비어 있습니다.</li>
+              )}
+            </ul>
+          ) : (
+            <ul className="-mx-2 max-h-[60vh] overflow-auto pr-1 md:max-h-[72vh]">
+              {filteredPrograms.map((p) => (
+                <li key={p.id} className="px-2">
+                  <button
+                    onClick={() => setSelectedProgramId(p.id)}
+                    className={`group mb-2 w-full rounded-xl border p-3 text-left hover:bg-gray-50 ${
+                      selectedProgramId === p.id ? "border-gray-900 bg-gray-50" : ""
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <h3 className="line-clamp-1 text-sm font-semibold">{p.name}</h3>
+                      <div className="text-[10px] text-gray-400">
+                        {new Date(p.updatedAt).toLocaleDateString()}
+                      </div>
                     </div>
-                  )}
-                  {!!it.content && (
-                    <p className="mt-1 line-clamp-2 text-xs text-gray-600">{it.content}</p>
-                  )}
-                </button>
-              </li>
-            ))}
+                    <p className="mt-1 line-clamp-1 text-xs text-gray-600">
+                      {p.target ? `${p.target} · ` : ""}운동 {p.entries?.length || 0}개
+                    </p>
+                  </button>
+                </li>
+              ))}
 
-            {filtered.length === 0 && (
-              <li className="px-2 py-8 text-center text-sm text-gray-500">
-                등록된 항목이 없습니다. 우측 하단 "+" 버튼으로 추가하세요.
-              </li>
-            )}
-          </ul>
+              {filteredPrograms.length === 0 && (
+                <li className="px-2 py-8 text-center text-sm text-gray-500">
+                  등록된 프로그램이 없습니다. "+" 버튼으로 운동을 묶어 보세요.
+                </li>
+              )}
+            </ul>
+          )}
         </section>
 
         {/* 우측: 상세 */}
         <section className="rounded-2xl border bg-white p-4 shadow-sm">
-          {!selected ? (
+          {view === "programs" ? (
+            !selectedProgram ? (
+              <div className="flex h-[40vh] flex-col items-center justify-center gap-2 text-center text-gray-500 md:h-full">
+                <div className="flex h-12 w-12 items-center justify-center rounded-2xl bg-gray-100">📋</div>
+                <p className="text-sm">왼쪽에서 프로그램을 선택하거나 새로 만드세요.</p>
+              </div>
+            ) : (
+              <div>
+                <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+                  <h2 className="text-lg font-semibold">{selectedProgram.name}</h2>
+                  <div className="flex items-center gap-2">
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                      onClick={() =>
+                        copyToClipboard(
+                          buildProgramShareText(selectedProgram, activeItems, shareTemplate, settings),
+                          (selectedProgram.entries || []).map((e) => e.itemId)
+                        )
+                      }
+                    >
+                      복사하기
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                      onClick={() => openProgramHandout(selectedProgram)}
+                    >
+                      인쇄
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                      onClick={() => openAddLog({ targetType: "program", targetId: selectedProgram.id })}
+                    >
+                      기록
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                      onClick={() => {
+                        setEditingProgramId(selectedProgram.id);
+                        setProgramModalOpen(true);
+                      }}
+                    >
+                      편집
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm text-red-600 hover:bg-red-50"
+                      onClick={() => handleDeleteProgram(selectedProgram)}
+                    >
+                      삭제
+                    </button>
+                  </div>
+                </div>
+
+                <ProgramDetail
+                  program={selectedProgram}
+                  items={activeItems}
+                  template={shareTemplate}
+                  settings={settings}
+                  onOpenItem={(id) => {
+                    setSelectedId(id);
+                    setView("items");
+                  }}
+                />
+              </div>
+            )
+          ) : view === "patients" ? (
+            !selectedPatient ? (
+              <div className="flex h-[40vh] flex-col items-center justify-center gap-2 text-center text-gray-500 md:h-full">
+                <div className="flex h-12 w-12 items-center justify-center rounded-2xl bg-gray-100">🧑</div>
+                <p className="text-sm">왼쪽에서 환자를 선택하거나 새로 등록하세요.</p>
+              </div>
+            ) : (
+              <div>
+                <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+                  <h2 className="text-lg font-semibold">{selectedPatient.name}</h2>
+                  <div className="flex items-center gap-2">
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-40"
+                      disabled={!assignedItems(selectedPatient).length}
+                      onClick={() => {
+                        const list = assignedItems(selectedPatient);
+                        copyToClipboard(
+                          buildItemsShareText(list, shareTemplate, settings, activeItems),
+                          list.map((it) => it.id)
+                        );
+                      }}
+                    >
+                      복사하기
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-40"
+                      disabled={!assignedItems(selectedPatient).length}
+                      onClick={() => openItemsHandout(assignedItems(selectedPatient))}
+                    >
+                      인쇄
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                      onClick={() => setPatientModal({ initial: selectedPatient })}
+                    >
+                      편집
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm text-red-600 hover:bg-red-50"
+                      onClick={() => handleDeletePatient(selectedPatient)}
+                    >
+                      삭제
+                    </button>
+                  </div>
+                </div>
+
+                <PatientDashboard
+                  patient={selectedPatient}
+                  logs={patientLogs}
+                  items={items}
+                  programs={programs}
+                  onOpenItem={(id) => {
+                    setSelectedId(id);
+                    setView("items");
+                  }}
+                  onAddLog={() => openAddLog({})}
+                  onEditLog={(log) => setLogModal({ initial: log })}
+                  onDeleteLog={handleDeleteLog}
+                />
+              </div>
+            )
+          ) : view === "trash" ? (
+            !selectedTrash ? (
+              <div className="flex h-[40vh] flex-col items-center justify-center gap-2 text-center text-gray-500 md:h-full">
+                <div className="flex h-12 w-12 items-center justify-center rounded-2xl bg-gray-100">🗑️</div>
+                <p className="text-sm">삭제한 운동법은 여기서 복원하거나 영구 삭제할 수 있습니다.</p>
+              </div>
+            ) : (
+              <div>
+                <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+                  <h2 className="text-lg font-semibold">{selectedTrash.title}</h2>
+                  <div className="flex items-center gap-2">
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                      onClick={() => handleRestore(selectedTrash)}
+                    >
+                      복원
+                    </button>
+                    <button
+                      className="rounded-lg border px-3 py-1.5 text-sm text-red-600 hover:bg-red-50"
+                      onClick={() =>
+                        purgeItems(
+                          new Set([selectedTrash.id]),
+                          `영구 삭제할까요?\n[${selectedTrash.title}]\n되돌릴 수 없습니다.`
+                        )
+                      }
+                    >
+                      영구 삭제
+                    </button>
+                  </div>
+                </div>
+
+                <DetailCard item={selectedTrash} items={activeItems} settings={settings} />
+              </div>
+            )
+          ) : !selected ? (
             <div className="flex h-[40vh] flex-col items-center justify-center gap-2 text-center text-gray-500 md:h-full">
               <div className="flex h-12 w-12 items-center justify-center rounded-2xl bg-gray-100">📄</div>
               <p className="text-sm">왼쪽에서 항목을 선택하거나 새로 추가하세요.</p>
@@ -458,18 +1848,46 @@ export default function App() {
               <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
                 <h2 className="text-lg font-semibold">{selected.title}</h2>
                 <div className="flex items-center gap-2">
+                  <button
+                    className={`rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50 ${
+                      selected.pinned ? "border-gray-900" : ""
+                    }`}
+                    aria-pressed={selected.pinned}
+                    onClick={() => togglePin(selected)}
+                  >
+                    {selected.pinned ? "📌 고정 해제" : "📌 고정"}
+                  </button>
                   <button
                     className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
-                    onClick={() => copyToClipboard(buildShareText(selected))}
+                    onClick={() => copyToClipboard(buildShareText(selected, shareTemplate, settings, activeItems), [selected.id])}
                   >
                     복사하기
                   </button>
+                  <button
+                    className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                    onClick={() => openItemsHandout([selected])}
+                  >
+                    인쇄
+                  </button>
+                  <button
+                    className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+                    onClick={() => openAddLog({ targetType: "item", targetId: selected.id })}
+                  >
+                    기록
+                  </button>
                   <button
                     className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
                     onClick={() => openEdit(selected)}
                   >
                     편집
                   </button>
+                  <button
+                    className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-40"
+                    onClick={() => setRevisionItemId(selected.id)}
+                    disabled={!selected.revisions?.length}
+                  >
+                    이력
+                  </button>
                   <button
                     className="rounded-lg border px-3 py-1.5 text-sm text-red-600 hover:bg-red-50"
                     onClick={() => handleDelete(selected)}
@@ -479,7 +1897,14 @@ export default function App() {
                 </div>
               </div>
 
-              <DetailCard item={selected} />
+              <DetailCard
+                item={selected}
+                items={activeItems}
+                settings={settings}
+                onOpenItem={setSelectedId}
+                onPickTemplate={(id) => updateSettings({ shareTemplateId: id })}
+                onEditTemplates={() => setTemplateModalOpen(true)}
+              />
             </div>
           )}
         </section>
@@ -487,18 +1912,32 @@ export default function App() {
 
       {/* 플로팅 + 버튼 (모바일) */}
       <button
-        onClick={openAdd}
-        className="fixed bottom-5 right-5 z-40 flex h-14 w-14 items-center justify-center rounded-full bg-gray-900 text-3xl leading-none text-white shadow-xl hover:brightness-110 md:hidden"
-        aria-label="새 운동법 추가"
+        onClick={view === "programs" ? openAddProgram : view === "patients" ? () => setPatientModal({ initial: null }) : openAdd}
+        className="no-print fixed bottom-5 right-5 z-40 flex h-14 w-14 items-center justify-center rounded-full bg-gray-900 text-3xl leading-none text-white shadow-xl hover:brightness-110 md:hidden"
+        aria-label={view === "programs" ? "새 프로그램 추가" : view === "patients" ? "새 환자 추가" : "새 운동법 추가"}
       >
         +
       </button>
 
       {/* 토스트 */}
-      <div className="pointer-events-none fixed inset-x-0 bottom-3 z-50 mx-auto flex max-w-md flex-col gap-2 px-4">
+      <div className="no-print pointer-events-none fixed inset-x-0 bottom-3 z-50 mx-auto flex max-w-md flex-col gap-2 px-4">
         {toasts.map((t) => (
-          <div key={t.id} className="pointer-events-auto rounded-xl border bg-white px-3 py-2 text-sm shadow">
-            {t.msg}
+          <div
+            key={t.id}
+            className="pointer-events-auto flex items-center justify-between gap-3 rounded-xl border bg-white px-3 py-2 text-sm shadow"
+          >
+            <span>{t.msg}</span>
+            {t.action && (
+              <button
+                className="shrink-0 font-semibold text-blue-600 hover:underline"
+                onClick={() => {
+                  t.action.onClick();
+                  setToasts((list) => list.filter((x) => x.id !== t.id));
+                }}
+              >
+                {t.action.label}
+              </button>
+            )}
           </div>
         ))}
       </div>
@@ -506,13 +1945,13 @@ export default function App() {
       {/* 추가/편집 모달 */}
       <Modal
         open={modalOpen}
-        onClose={() => setModalOpen(false)}
+        onClose={closeModal}
         title={editingId ? "운동법 편집" : "새 운동법 추가"}
         footer={
           <>
             <button
               className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50"
-              onClick={() => setModalOpen(false)}
+              onClick={closeModal}
             >
               닫기
             </button>
@@ -525,6 +1964,30 @@ export default function App() {
           </>
         }
       >
+        {editConflict && (
+          <div className="mb-3 rounded-lg border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900">
+            {editConflict === "deleted" ? (
+              "다른 탭/창에서 이 항목을 영구 삭제했습니다. 저장할 수 없으니 필요한 내용은 복사해 두세요."
+            ) : (
+              <>
+                <p>
+                  {editConflict === "trashed"
+                    ? "다른 탭/창에서 이 항목을 휴지통으로 옮겼습니다. 저장하면 휴지통에서 꺼내 지금 내용으로 저장합니다."
+                    : `다른 탭/창에서 이 항목이 수정되었습니다 (${new Date(editingCurrent.updatedAt).toLocaleTimeString()}). ` +
+                      "그대로 저장하면 지금 내용이 남고, 다른 쪽 내용은 수정 이력에 보관됩니다."}
+                </p>
+                {editConflict === "changed" && (
+                  <button
+                    className="mt-2 rounded-md border border-amber-300 bg-white px-2 py-1 hover:bg-amber-100"
+                    onClick={reloadEditing}
+                  >
+                    최신 내용 불러오기
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        )}
         <Field label="제목" required>
           <input
             className="w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
@@ -534,46 +1997,356 @@ export default function App() {
             maxLength={80}
           />
         </Field>
-        <Field label="운동 설명 (환자 안내 문구)">
-          <textarea
-            className="w-full min-h-[120px] rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
-            value={content}
-            onChange={(e) => setContent(e.target.value)}
-            placeholder={
-              "예) 벽을 짚고 팔을 90도로 올린 뒤, 호흡을 내쉬며 10초간 유지합니다. 10회 × 3세트."
-            }
-          />
-        </Field>
-        <Field label="주의사항">
-          <textarea
-            className="w-full min-h-[80px] rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
-            value={caution}
-            onChange={(e) => setCaution(e.target.value)}
-            placeholder={"예) 통증 심해지면 즉시 중단, 어지러움/저림 발생 시 연락"}
-          />
-        </Field>
-        <Field label="참고 링크 (영상/블로그 등)">
-          <input
-            className="w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
-            value={link}
-            onChange={(e) => setLink(e.target.value)}
-            placeholder="https://..."
-          />
-        </Field>
-        <Field label="태그 (쉼표로 구분)">
-          <input
-            className="w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
-            value={tagsText}
-            onChange={(e) => setTagsText(e.target.value)}
-            placeholder="어깨, 재활, 스트레칭"
-          />
-        </Field>
+        <MarkupTextarea
+          label="운동 설명 (환자 안내 문구)"
+          value={content}
+          onChange={setContent}
+          minHeight="min-h-[120px]"
+          placeholder={
+            "예)\n1. 벽을 짚고 팔을 **90도**로 올립니다.\n2. 호흡을 내쉬며 천천히 버팁니다."
+          }
+        />
+        <div className="mb-3">
+          <div className="mb-1 text-sm font-medium text-gray-700">운동 처방</div>
+          <div className="grid grid-cols-2 gap-2 sm:grid-cols-3">
+            {DOSAGE_FIELDS.map(({ key, label, unit }) => (
+              <label key={key} className="text-xs text-gray-600">
+                {label} ({unit})
+                <input
+                  type="number"
+                  min="0"
+                  inputMode="numeric"
+                  className="mt-0.5 w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
+                  value={dosageForm[key]}
+                  onChange={(e) => setDosageForm((f) => ({ ...f, [key]: e.target.value }))}
+                />
+              </label>
+            ))}
+            <label className="text-xs text-gray-600">
+              방향
+              <select
+                className="mt-0.5 w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
+                value={dosageForm.side}
+                onChange={(e) => setDosageForm((f) => ({ ...f, side: e.target.value }))}
+              >
+                <option value="">해당 없음</option>
+                {Object.entries(SIDE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+        <div className="mb-3">
+          <div className="mb-1 text-sm font-medium text-gray-700">분류</div>
+          <div className="flex gap-3">
+            <BodyMap
+              value={classForm.regions}
+              onToggle={(key) =>
+                setClassForm((f) => ({
+                  ...f,
+                  regions: f.regions.includes(key) ? f.regions.filter((k) => k !== key) : [...f.regions, key],
+                }))
+              }
+              className="h-36 w-[4.5rem] shrink-0"
+            />
+            <div className="min-w-0 flex-1 space-y-2 text-xs text-gray-600">
+              <div>
+                부위{" "}
+                <span className="text-gray-800">
+                  {regionLabels(classForm.regions).join(", ") || "그림에서 눌러 고르세요"}
+                </span>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <label>
+                  상태/단계
+                  <select
+                    className="mt-0.5 w-full rounded-lg border px-2 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
+                    value={classForm.stage}
+                    onChange={(e) => setClassForm((f) => ({ ...f, stage: e.target.value }))}
+                  >
+                    <option value="">선택 안 함</option>
+                    {STAGES.map((o) => (
+                      <option key={o.key} value={o.key}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  난이도
+                  <select
+                    className="mt-0.5 w-full rounded-lg border px-2 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20"
+                    value={classForm.difficulty ?? ""}
+                    onChange={(e) =>
+                      setClassForm((f) => ({ ...f, difficulty: e.target.value ? Number(e.target.value) : null }))
+                    }
+                  >
+                    <option value="">선택 안 함</option>
+                    {DIFFICULTIES.map((o) => (
+                      <option key={o.key} value={o.key}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <div>
+                준비물
+                <div className="mt-1 flex flex-wrap gap-1">
+                  {EQUIPMENT.map((o) => {
+                    const on = classForm.equipment.includes(o.key);
+                    return (
+                      <button
+                        key={o.key}
+                        type="button"
+                        aria-pressed={on}
+                        onClick={() =>
+                          setClassForm((f) => ({
+                            ...f,
+                            equipment: on ? f.equipment.filter((k) => k !== o.key) : [...f.equipment, o.key],
+                          }))
+                        }
+                        className={`rounded-full border px-2 py-0.5 ${
+                          on ? "border-gray-900 bg-gray-900 text-white" : "hover:bg-gray-50"
+                        }`}
+                      >
+                        {o.label}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+        <MarkupTextarea
+          label="주의사항"
+          value={caution}
+          onChange={setCaution}
+          placeholder={"예) 통증 심해지면 즉시 중단\n! 어지러움/저림 발생 시 바로 연락"}
+        />
+        <ImageListEditor
+          images={imagesForm}
+          onChange={setImagesForm}
+          onAddFiles={handleAddImages}
+          busy={imagesBusy}
+        />
+        <ResourceListEditor rows={resourcesForm} onChange={setResourcesForm} />
+        <ProgressionEditor value={linksForm} onChange={setLinksForm} itemId={editingId} items={items} />
+        <div className="mb-3">
+          <div className="mb-1 text-sm font-medium text-gray-700">태그</div>
+          <TagInput value={tagsForm} onChange={setTagsForm} tagCounts={allTagCounts} />
+        </div>
       </Modal>
+
+      {pendingImport && (
+        <ImportPreviewModal
+          source={pendingImport.source}
+          rows={importRows}
+          current={{ items: items.length, programs: programs.length, patients: patients.length, logs: logs.length }}
+          programCount={pendingImport.programs?.length ?? null}
+          patientCount={pendingImport.patients?.length ?? null}
+          logCount={pendingImport.logs?.length ?? null}
+          rejected={pendingImport.rejected}
+          warnings={pendingImport.warnings}
+          onCancel={() => setPendingImport(null)}
+          onApply={applyImport}
+        />
+      )}
+
+      {shareOpen && (
+        <ShareLinkModal
+          scopes={[
+            { key: "checked", label: "체크한 항목", items: checkedItems },
+            {
+              key: "filtered",
+              label: query.trim() ? `검색 결과 "${query.trim()}"` : "현재 보이는 목록",
+              items: filtered,
+            },
+            { key: "all", label: "전체 목록", items: activeItems },
+          ]}
+          onClose={() => setShareOpen(false)}
+          onCopy={(url, scope) =>
+            navigator.clipboard
+              .writeText(url)
+              .then(() => {
+                recordShare(scope.items.map((it) => it.id));
+                setShareOpen(false);
+                toast("공유 링크를 복사했습니다. 다른 기기에서 열면 불러올 수 있어요.");
+              })
+              .catch(() => prompt("복사 실패. 아래 주소를 직접 복사하세요:", url))
+          }
+        />
+      )}
+
+      {handout && (
+        <HandoutView
+          {...handout}
+          settings={settings}
+          onSettingsChange={updateSettings}
+          onClose={() => setHandout(null)}
+        />
+      )}
+
+      {bulkTagOpen && (
+        <BulkTagModal
+          items={checkedItems}
+          tagCounts={allTagCounts}
+          onApply={bulkTags}
+          onClose={() => setBulkTagOpen(false)}
+        />
+      )}
+
+      {logModal && (
+        <LogModal
+          initial={logModal.initial}
+          patients={patients}
+          items={activeItems}
+          programs={programs}
+          onSave={handleSaveLog}
+          onClose={() => setLogModal(null)}
+        />
+      )}
+
+      {patientModal && (
+        <PatientModal
+          initial={patientModal.initial}
+          items={activeItems}
+          programs={programs}
+          onSave={handleSavePatient}
+          onClose={() => setPatientModal(null)}
+        />
+      )}
+
+      {templateModalOpen && (
+        <ShareTemplateModal
+          settings={settings}
+          item={selected}
+          items={activeItems}
+          onSave={(patch) => {
+            updateSettings(patch);
+            setTemplateModalOpen(false);
+            toast("템플릿을 저장했습니다.");
+          }}
+          onClose={() => setTemplateModalOpen(false)}
+        />
+      )}
+
+      {tagManagerOpen && (
+        <TagManagerModal
+          tagCounts={allTagCounts}
+          onMerge={handleMergeTags}
+          onClose={() => setTagManagerOpen(false)}
+        />
+      )}
+
+      {revisionItem && (
+        <RevisionModal
+          item={revisionItem}
+          items={items}
+          onClose={() => setRevisionItemId(null)}
+          onRestore={(rev) => handleRestoreRevision(revisionItem, rev)}
+        />
+      )}
+
+      {/* 프로그램 추가/편집 모달 */}
+      {programModalOpen && (
+        <ProgramModal
+          program={programs.find((p) => p.id === editingProgramId) || null}
+          items={activeItems}
+          onClose={() => setProgramModalOpen(false)}
+          onSave={handleSaveProgram}
+        />
+      )}
     </div>
   );
 }
 
-function DetailCard({ item }) {
+function ClassificationList({ item }) {
+  const rows = [
+    ["부위", regionLabels(item.regions).join(", ")],
+    ["상태/단계", stageLabel(item.stage)],
+    ["난이도", difficultyLabel(item.difficulty)],
+    ["준비물", equipmentLabels(item.equipment).join(", ")],
+  ].filter(([, value]) => value);
+  if (!rows.length) return null;
+  return (
+    <dl className="mb-3 grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-sm">
+      {rows.map(([label, value]) => (
+        <div key={label} className="contents">
+          <dt className="text-gray-500">{label}</dt>
+          <dd className="text-gray-800">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+// 단계 / 대체 운동 — onOpenItem 이 없으면(휴지통) 이름만
+function ProgressionLinks({ item, items, onOpenItem }) {
+  const { harder, easier, alternatives } = linksOf(item, items);
+  if (!harder && !easier.length && !alternatives.length) return null;
+  const chain = item.deletedAt ? [] : chainOf(item, items);
+  const link = (it) =>
+    onOpenItem ? (
+      <button
+        key={it.id}
+        className="text-blue-600 underline underline-offset-2 hover:opacity-80"
+        onClick={() => onOpenItem(it.id)}
+      >
+        {it.title}
+      </button>
+    ) : (
+      <span key={it.id}>{it.title}</span>
+    );
+  const list = (arr) => arr.map((it, i) => [i > 0 && ", ", link(it)]);
+
+  return (
+    <section className="rounded-xl border p-4 text-sm">
+      <h3 className="mb-2 font-semibold">단계 / 대체 운동</h3>
+      {chain.length > 1 && (
+        <ol className="mb-2 flex flex-wrap items-center gap-1 text-xs text-gray-500" aria-label="운동 단계">
+          {chain.map((it, i) => (
+            <li key={it.id} className="flex items-center gap-1">
+              {i > 0 && <span aria-hidden>→</span>}
+              {it.id === item.id ? <b className="text-gray-900">{it.title}</b> : link(it)}
+            </li>
+          ))}
+        </ol>
+      )}
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+        {harder && (
+          <>
+            <dt className="text-gray-500">다음 단계 ⬆</dt>
+            <dd>
+              {link(harder)}
+              {item.progressRule && <div className="text-xs text-gray-500">{item.progressRule}</div>}
+            </dd>
+          </>
+        )}
+        {easier.length > 0 && (
+          <>
+            <dt className="text-gray-500">이전 단계</dt>
+            <dd>{list(easier)}</dd>
+          </>
+        )}
+        {alternatives.length > 0 && (
+          <>
+            <dt className="text-gray-500">쉬운 대체 ⬇</dt>
+            <dd>{list(alternatives)}</dd>
+          </>
+        )}
+      </dl>
+    </section>
+  );
+}
+
+// onPickTemplate/onEditTemplates 가 없으면(휴지통) 템플릿 고르기 없이 미리보기만
+function DetailCard({ item, items, settings, onOpenItem, onPickTemplate, onEditTemplates }) {
+  const template = currentTemplate(settings);
   return (
     <div className="space-y-4">
       <section className="rounded-xl border p-4">
@@ -588,57 +2361,89 @@ function DetailCard({ item }) {
             ))}
           </div>
         )}
+        <ClassificationList item={item} />
         {item.content ? (
           <div>
             <h3 className="mb-1 text-sm font-semibold">운동 설명</h3>
-            <p className="whitespace-pre-line text-sm leading-6 text-gray-800">{item.content}</p>
+            <RichText text={item.content} className="text-sm leading-6 text-gray-800" />
           </div>
         ) : (
           <p className="text-sm text-gray-500">설명이 없습니다.</p>
         )}
       </section>
 
+      {!!item.images?.length && (
+        <section className="rounded-xl border p-4">
+          <h3 className="mb-2 text-sm font-semibold">사진/그림</h3>
+          <ol className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+            {item.images.map((img, idx) => (
+              <li key={img.id}>
+                <ItemImage imageId={img.id} alt={img.caption} className="aspect-square w-full rounded-lg border" />
+                <p className="mt-1 text-xs leading-5 text-gray-700">
+                  <b>{idx + 1}.</b> {img.caption}
+                </p>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+
+      <section className="rounded-xl border p-4">
+        <h3 className="mb-1 text-sm font-semibold">운동 처방</h3>
+        {formatDosage(item.dosage) ? (
+          <p className="text-sm leading-6 text-gray-800">{formatDosage(item.dosage)}</p>
+        ) : (
+          <p className="text-sm text-gray-500">등록된 처방이 없습니다.</p>
+        )}
+      </section>
+
       <section className="rounded-xl border p-4">
         <h3 className="mb-1 text-sm font-semibold">주의사항</h3>
         {item.caution ? (
-          <p className="whitespace-pre-line text-sm leading-6 text-gray-800">{item.caution}</p>
+          <RichText text={item.caution} className="text-sm leading-6 text-gray-800" />
         ) : (
           <p className="text-sm text-gray-500">등록된 주의사항이 없습니다.</p>
         )}
       </section>
 
+      <ProgressionLinks item={item} items={items} onOpenItem={onOpenItem} />
+
       <section className="rounded-xl border p-4">
-        <h3 className="mb-1 text-sm font-semibold">참고 링크</h3>
-        {item.link ? (
-          <a
-            className="inline-flex items-center text-sm text-blue-600 underline underline-offset-2 hover:opacity-80"
-            href={item.link}
-            target="_blank"
-            rel="noreferrer"
-          >
-            {item.link}
-          </a>
+        <h3 className="mb-2 text-sm font-semibold">참고 자료</h3>
+        {item.resources?.length ? (
+          <ResourceList resources={item.resources} embed />
         ) : (
-          <p className="text-sm text-gray-500">등록된 링크가 없습니다.</p>
+          <p className="text-sm text-gray-500">등록된 자료가 없습니다.</p>
         )}
       </section>
 
       <section className="rounded-xl border p-4">
-        <h3 className="mb-2 text-sm font-semibold">카톡 전송용 미리보기</h3>
+        <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+          <h3 className="text-sm font-semibold">카톡 전송용 미리보기</h3>
+          {onPickTemplate && (
+            <div className="flex items-center gap-2">
+              <select
+                className="rounded-lg border px-2 py-1 text-xs"
+                value={template.id}
+                onChange={(e) => onPickTemplate(e.target.value)}
+                aria-label="공유 텍스트 템플릿"
+              >
+                {normalizeTemplates(settings.shareTemplates).map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+              <button className="rounded-lg border px-2 py-1 text-xs hover:bg-gray-50" onClick={onEditTemplates}>
+                템플릿 편집
+              </button>
+            </div>
+          )}
+        </div>
         <pre className="whitespace-pre-wrap rounded-lg bg-gray-50 p-3 text-[13px] leading-6">
-{buildShareText(item)}
+{buildShareText(item, template, settings, items)}
         </pre>
       </section>
     </div>
   );
 }
-
-function buildShareText(item) {
-  const lines = [];
-  lines.push(`📌 ${item.title}`);
-  if (item.content) lines.push("\n운동 설명\n" + item.content);
-  if (item.caution) lines.push("\n⚠️ 주의사항\n" + item.caution);
-  if (item.link) lines.push("\n🔗 참고 링크\n" + item.link);
-  if (item.tags && item.tags.length) lines.push("\n#" + item.tags.join(" #"));
-  return lines.join("\n");
-}
@@ -0,0 +1,100 @@
+import { REGIONS } from "../utils/classify.js";
+
+// 부위 고르기용 인체 그림 (뒷모습 — 목/등/허리가 잘 보이도록)
+// 좌우가 있는 부위는 한쪽을 눌러도 같은 부위로 취급
+
+const SHAPES = {
+  neck: [{ type: "rect", x: 44, y: 26, width: 12, height: 9, rx: 3 }],
+  shoulder: [
+    { type: "circle", cx: 30, cy: 42, r: 8 },
+    { type: "circle", cx: 70, cy: 42, r: 8 },
+  ],
+  thoracic: [{ type: "rect", x: 39, y: 38, width: 22, height: 27, rx: 4 }],
+  elbow: [
+    { type: "circle", cx: 23, cy: 72, r: 6 },
+    { type: "circle", cx: 77, cy: 72, r: 6 },
+  ],
+  wrist: [
+    { type: "circle", cx: 17, cy: 100, r: 6 },
+    { type: "circle", cx: 83, cy: 100, r: 6 },
+  ],
+  lumbar: [{ type: "rect", x: 39, y: 67, width: 22, height: 17, rx: 4 }],
+  hip: [
+    { type: "ellipse", cx: 42, cy: 93, rx: 8, ry: 7 },
+    { type: "ellipse", cx: 58, cy: 93, rx: 8, ry: 7 },
+  ],
+  knee: [
+    { type: "circle", cx: 42, cy: 136, r: 7 },
+    { type: "circle", cx: 58, cy: 136, r: 7 },
+  ],
+  ankle: [
+    { type: "circle", cx: 42, cy: 180, r: 6 },
+    { type: "circle", cx: 58, cy: 180, r: 6 },
+  ],
+};
+
+// 부위 사이를 잇는 팔다리 (누를 수 없음)
+const LIMBS = [
+  [30, 42, 23, 72],
+  [70, 42, 77, 72],
+  [23, 72, 17, 100],
+  [77, 72, 83, 100],
+  [42, 93, 42, 136],
+  [58, 93, 58, 136],
+  [42, 136, 42, 180],
+  [58, 136, 58, 180],
+];
+
+function Shape({ type, ...props }) {
+  if (type === "circle") return <circle {...props} />;
+  if (type === "ellipse") return <ellipse {...props} />;
+  return <rect {...props} />;
+}
+
+// value: 고른 부위 key 배열, counts: { key: 개수 } (있으면 툴팁에 표시)
+export default function BodyMap({ value, onToggle, counts, className = "" }) {
+  return (
+    <svg viewBox="0 0 100 192" className={className} role="group" aria-label="부위 선택 (뒷모습)">
+      <circle cx={50} cy={15} r={11} className="fill-gray-100 stroke-gray-300" />
+      {LIMBS.map(([x1, y1, x2, y2], i) => (
+        <line
+          key={i}
+          x1={x1}
+          y1={y1}
+          x2={x2}
+          y2={y2}
+          strokeWidth={7}
+          strokeLinecap="round"
+          className="stroke-gray-100"
+        />
+      ))}
+      {REGIONS.map(({ key, label }) => {
+        const on = value.includes(key);
+        const count = counts?.[key];
+        return (
+          <g
+            key={key}
+            role="button"
+            tabIndex={0}
+            aria-pressed={on}
+            aria-label={label}
+            onClick={() => onToggle(key)}
+            onKeyDown={(e) => {
+              if (e.key !== "Enter" && e.key !== " ") return;
+              e.preventDefault();
+              onToggle(key);
+            }}
+            className={`cursor-pointer outline-none focus-visible:opacity-70 ${
+              on ? "fill-gray-900 stroke-gray-900" : "fill-white stroke-gray-400 hover:fill-gray-200"
+            }`}
+          >
+            <title>{count != null ? `${label} (${count})` : label}</title>
+            {SHAPES[key].map((shape, i) => (
+              <Shape key={i} {...shape} strokeWidth={1.5} />
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
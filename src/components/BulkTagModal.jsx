@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { Modal } from "./ui.jsx";
+import TagInput from "./TagInput.jsx";
+import { countTags } from "../utils/tags.js";
+
+// 선택한 운동법들에 태그 한꺼번에 붙이기/빼기
+export default function BulkTagModal({ items, tagCounts, onApply, onClose }) {
+  const [add, setAdd] = useState([]);
+  const [remove, setRemove] = useState([]);
+  const present = countTags(items);
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={`태그 일괄 변경 (${items.length}개)`}
+      footer={
+        <>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+            닫기
+          </button>
+          <button
+            className="rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110 disabled:opacity-40"
+            disabled={!add.length && !remove.length}
+            onClick={() => onApply(add, remove)}
+          >
+            적용
+          </button>
+        </>
+      }
+    >
+      <div className="mb-4">
+        <div className="mb-1 text-sm font-medium text-gray-700">붙일 태그</div>
+        <TagInput value={add} onChange={setAdd} tagCounts={tagCounts} />
+      </div>
+
+      <div>
+        <div className="mb-1 text-sm font-medium text-gray-700">뺄 태그</div>
+        {present.length ? (
+          <div className="flex flex-wrap gap-1 text-xs">
+            {present.map(({ tag, count }) => {
+              const on = remove.includes(tag);
+              return (
+                <button
+                  key={tag}
+                  aria-pressed={on}
+                  onClick={() => setRemove((list) => (on ? list.filter((t) => t !== tag) : [...list, tag]))}
+                  className={`rounded-full border px-2 py-0.5 ${
+                    on ? "border-red-600 bg-red-600 text-white line-through" : "hover:bg-gray-50"
+                  }`}
+                >
+                  #{tag} <span className={on ? "text-red-100" : "text-gray-400"}>{count}</span>
+                </button>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">선택한 항목에 태그가 없습니다.</p>
+        )}
+      </div>
+    </Modal>
+  );
+}
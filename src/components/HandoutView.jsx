@@ -0,0 +1,156 @@
+import { useState } from "react";
+import QrCode from "./QrCode.jsx";
+import ItemImage from "./ItemImage.jsx";
+import RichText from "./RichText.jsx";
+import { watchUrl } from "../utils/resources.js";
+import { equipmentLabels } from "../utils/classify.js";
+import { todayString } from "../utils/adherence.js";
+
+const inputCls =
+  "rounded-lg border px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+function weekDays(start) {
+  // "YYYY-MM-DD" 만 주면 UTC 자정으로 읽히므로 기기 시간대의 자정으로
+  const base = new Date(`${start}T00:00:00`);
+  if (Number.isNaN(base.getTime())) return [];
+  return Array.from({ length: 7 }, (_, i) => {
+    const d = new Date(base);
+    d.setDate(base.getDate() + i);
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+  });
+}
+
+// 인쇄용 안내문 (브라우저 인쇄 → PDF 저장)
+// entries: [{ item, dosage }] — dosage 는 이미 포맷된 문자열 (프로그램이면 항목별 처방)
+// settings: 병원 이름/전화번호 (바꾸면 onSettingsChange 로 저장)
+export default function HandoutView({ title, entries, settings, onSettingsChange, onClose }) {
+  const [patientName, setPatientName] = useState("");
+  const [date, setDate] = useState(() => todayString());
+  const days = weekDays(date);
+
+  return (
+    <div className="handout-overlay fixed inset-0 z-50 overflow-auto bg-gray-100">
+      {/* 도구 막대 (인쇄 시 숨김) */}
+      <div className="no-print sticky top-0 z-10 border-b bg-white/90 backdrop-blur">
+        <div className="mx-auto flex max-w-[210mm] flex-wrap items-center gap-2 px-4 py-3">
+          <input
+            className={inputCls}
+            value={settings.clinicName}
+            onChange={(e) => onSettingsChange({ clinicName: e.target.value })}
+            placeholder="병원/의원 이름"
+          />
+          <input
+            className={`${inputCls} w-36`}
+            value={settings.clinicPhone}
+            onChange={(e) => onSettingsChange({ clinicPhone: e.target.value })}
+            placeholder="전화번호"
+          />
+          <input
+            className={`${inputCls} w-28`}
+            value={patientName}
+            onChange={(e) => setPatientName(e.target.value)}
+            placeholder="환자 이름"
+          />
+          <input type="date" className={inputCls} value={date} onChange={(e) => setDate(e.target.value)} />
+          <div className="ml-auto flex gap-2">
+            <button className="rounded-lg border bg-white px-3 py-1.5 text-sm hover:bg-gray-50" onClick={onClose}>
+              닫기
+            </button>
+            <button
+              className="rounded-lg bg-gray-900 px-3 py-1.5 text-sm text-white hover:brightness-110"
+              onClick={() => window.print()}
+            >
+              인쇄 / PDF 저장
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* 인쇄 영역 */}
+      <article className="handout-sheet mx-auto my-6 max-w-[210mm] bg-white p-[12mm] text-gray-900 shadow">
+        <header className="mb-5 flex items-end justify-between border-b-2 border-gray-900 pb-3">
+          <div>
+            <div className="text-sm text-gray-600">{settings.clinicName || "　"}</div>
+            <h1 className="text-2xl font-bold">{title || "자가 운동 안내문"}</h1>
+          </div>
+          <div className="text-right text-sm leading-6">
+            <div>
+              환자: <b>{patientName || "________"}</b>
+            </div>
+            <div>날짜: {date}</div>
+            {settings.clinicPhone && <div>문의: {settings.clinicPhone}</div>}
+          </div>
+        </header>
+
+        {entries.map(({ item, dosage }, idx) => {
+          // QR 은 하나만: 영상이 있으면 영상(시작 시간 포함), 없으면 첫 자료
+          const resource = item.resources?.find((r) => r.type === "video") || item.resources?.[0];
+          const link = resource ? watchUrl(resource) : "";
+          return (
+            <section key={`${item.id}-${idx}`} className="handout-item mb-5 border-b pb-4 last:border-b-0">
+              <div className="flex gap-4">
+                <div className="min-w-0 flex-1">
+                  <h2 className="mb-1 text-lg font-bold">
+                    {idx + 1}. {item.title}
+                  </h2>
+                  {dosage && <p className="mb-2 text-base font-semibold">▶ {dosage}</p>}
+                  {!!item.equipment?.length && (
+                    <p className="mb-2 text-sm">준비물: {equipmentLabels(item.equipment).join(", ")}</p>
+                  )}
+                  {item.content && <RichText text={item.content} className="mb-2 text-sm leading-6" />}
+                  {item.caution && (
+                    <div className="mb-2 rounded border border-gray-900 p-2 text-sm leading-6">
+                      <b>⚠️ 주의사항</b>
+                      <RichText text={item.caution} />
+                    </div>
+                  )}
+                  {!!item.images?.length && (
+                    <ol className="mb-2 flex flex-wrap gap-3">
+                      {item.images.map((img, i) => (
+                        <li key={img.id} className="w-[30mm]">
+                          <ItemImage imageId={img.id} alt={img.caption} className="h-[30mm] w-[30mm] border" />
+                          <p className="mt-0.5 text-[10px] leading-4">
+                            {i + 1}. {img.caption}
+                          </p>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+                {link && (
+                  <div className="shrink-0 text-center text-[10px] text-gray-500">
+                    <QrCode text={link} />
+                    <div>{resource.label || "영상/자료"}</div>
+                  </div>
+                )}
+              </div>
+
+              <table className="mt-2 w-full border-collapse text-center text-xs">
+                <thead>
+                  <tr>
+                    {days.map((d) => (
+                      <th key={d} className="border border-gray-400 py-1 font-normal">
+                        {d}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    {days.map((d) => (
+                      <td key={d} className="h-8 border border-gray-400">
+                        ☐
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </section>
+          );
+        })}
+
+        {entries.length === 0 && <p className="text-center text-sm text-gray-500">인쇄할 운동이 없습니다.</p>}
+      </article>
+    </div>
+  );
+}
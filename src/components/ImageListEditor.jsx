@@ -0,0 +1,85 @@
+import ItemImage from "./ItemImage.jsx";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+// 편집 모달의 사진/그림 목록 (순서 = 동작 단계)
+export default function ImageListEditor({ images, onChange, onAddFiles, busy }) {
+  function update(idx, patch) {
+    onChange(images.map((img, i) => (i === idx ? { ...img, ...patch } : img)));
+  }
+
+  function move(idx, dir) {
+    const to = idx + dir;
+    if (to < 0 || to >= images.length) return;
+    const next = [...images];
+    [next[idx], next[to]] = [next[to], next[idx]];
+    onChange(next);
+  }
+
+  return (
+    <div className="mb-3">
+      <div className="mb-1 text-sm font-medium text-gray-700">사진/그림 (단계별 설명)</div>
+      <ol className="mb-2 space-y-2">
+        {images.map((img, idx) => (
+          <li key={img.id} className="flex gap-2 rounded-xl border p-2">
+            <ItemImage imageId={img.id} className="h-16 w-16 shrink-0 rounded-lg" />
+            <div className="min-w-0 flex-1">
+              <div className="mb-1 text-xs text-gray-500">{idx + 1}단계</div>
+              <input
+                className={inputCls}
+                value={img.caption}
+                onChange={(e) => update(idx, { caption: e.target.value })}
+                placeholder="예) 팔을 어깨 높이로 들어 올립니다"
+                maxLength={200}
+              />
+            </div>
+            <div className="flex shrink-0 flex-col gap-1 text-xs">
+              <button
+                className="rounded border px-2 py-0.5 hover:bg-gray-50 disabled:opacity-30"
+                onClick={() => move(idx, -1)}
+                disabled={idx === 0}
+                aria-label="위로"
+              >
+                ↑
+              </button>
+              <button
+                className="rounded border px-2 py-0.5 hover:bg-gray-50 disabled:opacity-30"
+                onClick={() => move(idx, 1)}
+                disabled={idx === images.length - 1}
+                aria-label="아래로"
+              >
+                ↓
+              </button>
+              <button
+                className="rounded border px-2 py-0.5 text-red-600 hover:bg-red-50"
+                onClick={() => onChange(images.filter((_, i) => i !== idx))}
+                aria-label="사진 삭제"
+              >
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <label
+        className={`inline-block cursor-pointer rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50 ${
+          busy ? "pointer-events-none opacity-50" : ""
+        }`}
+      >
+        {busy ? "추가 중…" : "+ 사진 추가"}
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            const files = [...(e.target.files || [])];
+            e.target.value = "";
+            if (files.length) onAddFiles(files);
+          }}
+        />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import { useState } from "react";
+import { Modal } from "./ui.jsx";
+import { summarizeMerge } from "../utils/merge.js";
+
+function fmt(ts) {
+  return ts ? new Date(ts).toLocaleString() : "-";
+}
+
+function Group({ title, rows, tone, children }) {
+  return (
+    <section className="mb-4">
+      <h4 className={`mb-1 text-sm font-semibold ${tone}`}>
+        {title} <span className="font-normal text-gray-500">({rows.length})</span>
+      </h4>
+      {rows.length ? (
+        <ul className="space-y-1">{rows.map(children)}</ul>
+      ) : (
+        <p className="text-xs text-gray-400">없음</p>
+      )}
+    </section>
+  );
+}
+
+// 가져오기 전에 추가/업데이트/변경 없음 목록을 보여주고 충돌 항목은 직접 고를 수 있게 함
+export default function ImportPreviewModal({
+  source,
+  rows,
+  current,
+  programCount,
+  patientCount,
+  logCount,
+  rejected = [],
+  warnings = [],
+  onCancel,
+  onApply,
+}) {
+  const [mode, setMode] = useState("merge"); // "merge" | "replace"
+  const [choices, setChoices] = useState({});
+  const { added, updated, unchanged } = summarizeMerge(rows, choices);
+
+  function pick(idx, choice) {
+    setChoices((c) => ({ ...c, [idx]: choice }));
+  }
+
+  function conflictInfo(row) {
+    return (
+      <div className="text-[11px] text-gray-500">
+        {row.matchedBy === "title" && "제목으로 일치 · "}내 것 {fmt(row.existing.updatedAt)} / 가져온 것{" "}
+        {fmt(row.incoming.updatedAt)}
+      </div>
+    );
+  }
+
+  return (
+    <Modal
+      open
+      onClose={onCancel}
+      title="가져오기 미리보기"
+      footer={
+        <>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onCancel}>
+            취소
+          </button>
+          <button
+            className={`rounded-lg px-4 py-2 text-sm text-white hover:brightness-110 ${
+              mode === "replace" ? "bg-red-600" : "bg-gray-900"
+            }`}
+            onClick={() => onApply({ mode, choices })}
+          >
+            {mode === "replace" ? "덮어쓰기" : "병합 적용"}
+          </button>
+        </>
+      }
+    >
+      <p className="mb-3 text-xs text-gray-500">
+        출처: {source} · 가져온 운동 {rows.length}개
+        {programCount != null && ` · 프로그램 ${programCount}개`}
+        {patientCount != null && ` · 환자 ${patientCount}명`}
+        {logCount != null && ` · 운동 기록 ${logCount}개`}
+      </p>
+
+      <div className="mb-4 grid grid-cols-2 gap-1 rounded-lg bg-gray-100 p-1 text-sm">
+        {[
+          ["merge", "병합 (내 목록 유지)"],
+          ["replace", "전체 덮어쓰기"],
+        ].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setMode(key)}
+            className={`rounded-md py-1 ${mode === key ? "bg-white font-semibold shadow-sm" : "text-gray-500"}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {(rejected.length > 0 || warnings.length > 0) && (
+        <section className="mb-4 rounded-lg bg-amber-50 p-3 text-sm">
+          {rejected.length > 0 && (
+            <>
+              <h4 className="mb-1 font-semibold text-amber-800">제외된 항목 ({rejected.length})</h4>
+              <ul className="mb-2 space-y-0.5 text-xs text-amber-900">
+                {rejected.map((r, i) => (
+                  <li key={i}>
+                    {r.kind} #{r.index + 1}
+                    {r.label && ` "${r.label}"`} — {r.reason}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {warnings.length > 0 && (
+            <>
+              <h4 className="mb-1 font-semibold text-amber-800">수정된 항목 ({warnings.length})</h4>
+              <ul className="space-y-0.5 text-xs text-amber-900">
+                {warnings.map((w, i) => (
+                  <li key={i}>
+                    {w.kind} "{w.label}" — {w.reason}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </section>
+      )}
+
+      {mode === "replace" ? (
+        <div className="rounded-lg bg-red-50 p-3 text-sm text-red-700">
+          <p className="mb-1">아래 내용이 모두 지워지고 가져온 내용으로 바뀝니다.</p>
+          <ul className="list-disc pl-5">
+            <li>
+              운동 {current.items}개 → {rows.length}개
+            </li>
+            {programCount != null && (
+              <li>
+                프로그램 {current.programs}개 → {programCount}개
+              </li>
+            )}
+            {patientCount != null && (
+              <>
+                <li>
+                  환자 {current.patients}명 → {patientCount}명
+                </li>
+                <li>
+                  운동 기록 {current.logs}개 → {logCount ?? 0}개
+                </li>
+              </>
+            )}
+          </ul>
+          {(programCount == null || patientCount == null) && (
+            <p className="mt-1 text-xs">
+              가져온 파일에 없는 {[programCount == null && "프로그램", patientCount == null && "환자/기록"]
+                .filter(Boolean)
+                .join(", ")}
+              은(는) 그대로 둡니다.
+            </p>
+          )}
+        </div>
+      ) : (
+        <>
+          <Group title="추가" rows={added} tone="text-green-700">
+            {({ row, idx }) => (
+              <li key={idx} className="rounded-lg border px-3 py-1.5 text-sm">
+                {row.incoming.title}
+              </li>
+            )}
+          </Group>
+          <Group title="업데이트" rows={updated} tone="text-blue-700">
+            {({ row, idx }) => (
+              <li key={idx} className="flex items-center justify-between gap-2 rounded-lg border px-3 py-1.5 text-sm">
+                <div>
+                  {row.incoming.title}
+                  {conflictInfo(row)}
+                </div>
+                <button
+                  className="shrink-0 rounded border px-2 py-0.5 text-xs hover:bg-gray-50"
+                  onClick={() => pick(idx, "existing")}
+                >
+                  내 것 유지
+                </button>
+              </li>
+            )}
+          </Group>
+          <Group title="변경 없음" rows={unchanged} tone="text-gray-700">
+            {({ row, idx }) => (
+              <li key={idx} className="flex items-center justify-between gap-2 rounded-lg border px-3 py-1.5 text-sm">
+                <div>
+                  {row.existing.title}
+                  {row.kind === "conflict" && conflictInfo(row)}
+                </div>
+                {row.kind === "conflict" && (
+                  <button
+                    className="shrink-0 rounded border px-2 py-0.5 text-xs hover:bg-gray-50"
+                    onClick={() => pick(idx, "incoming")}
+                  >
+                    가져온 것 사용
+                  </button>
+                )}
+              </li>
+            )}
+          </Group>
+        </>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { getImage } from "../utils/imageStore.js";
+
+// IndexedDB 에 저장된 이미지를 object URL 로 표시 (없으면 자리표시)
+export default function ItemImage({ imageId, alt = "", className = "" }) {
+  const [url, setUrl] = useState(null);
+  const [missing, setMissing] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    let objectUrl = null;
+    getImage(imageId)
+      .then((blob) => {
+        if (!alive) return;
+        if (!blob) {
+          setMissing(true);
+          return;
+        }
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => alive && setMissing(true));
+    return () => {
+      alive = false;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [imageId]);
+
+  if (missing)
+    return (
+      <div className={`flex items-center justify-center bg-gray-100 text-xs text-gray-400 ${className}`}>
+        이미지 없음
+      </div>
+    );
+  if (!url) return <div className={`animate-pulse bg-gray-100 ${className}`} />;
+  return <img src={url} alt={alt} className={`object-contain ${className}`} />;
+}
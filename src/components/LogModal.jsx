@@ -0,0 +1,164 @@
+import { useState } from "react";
+import { Field, Modal } from "./ui.jsx";
+import { todayString } from "../utils/adherence.js";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+const PAIN_SCORES = Array.from({ length: 11 }, (_, i) => i);
+
+function PainSelect({ value, onChange, label }) {
+  return (
+    <select
+      className={inputCls}
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}
+      aria-label={label}
+    >
+      <option value="">기록 안 함</option>
+      {PAIN_SCORES.map((n) => (
+        <option key={n} value={n}>
+          {n}
+          {n === 0 ? " (없음)" : n === 10 ? " (가장 심함)" : ""}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// 운동 기록 추가/수정
+// initial: 수정할 기록, 또는 미리 채울 값 { patientId, targetType, targetId }
+export default function LogModal({ initial, patients, items, programs, onSave, onClose }) {
+  const [form, setForm] = useState(() => ({
+    patientId: "",
+    targetType: "item",
+    targetId: "",
+    date: todayString(),
+    painBefore: null,
+    painAfter: null,
+    note: "",
+    ...initial,
+    setsDone: initial?.setsDone != null ? String(initial.setsDone) : "",
+  }));
+  const [error, setError] = useState("");
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const patient = patients.find((p) => p.id === form.patientId);
+  // 이 환자에게 배정한 운동/프로그램을 맨 위에
+  const assigned = new Set((patient?.assignments || []).map((a) => `${a.targetType}:${a.targetId}`));
+  const option = (type, id, label) => (
+    <option key={`${type}:${id}`} value={`${type}:${id}`}>
+      {label}
+    </option>
+  );
+
+  function save() {
+    const sets = form.setsDone.trim();
+    if (!patient) return setError("환자를 고르세요.");
+    if (!form.targetId) return setError("운동 또는 프로그램을 고르세요.");
+    if (!form.date) return setError("날짜를 입력하세요.");
+    if (sets && !(Number.isInteger(Number(sets)) && Number(sets) >= 0 && Number(sets) <= 50))
+      return setError("완료한 세트는 0~50 사이의 정수로 입력하세요.");
+    onSave({
+      ...form,
+      setsDone: sets ? Number(sets) : null,
+      note: form.note.trim(),
+    });
+  }
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={initial?.id ? "운동 기록 수정" : "운동 기록 추가"}
+      footer={
+        <>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+            취소
+          </button>
+          <button className="rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110" onClick={save}>
+            저장
+          </button>
+        </>
+      }
+    >
+      <Field label="환자" required>
+        <select className={inputCls} value={form.patientId} onChange={(e) => set({ patientId: e.target.value })}>
+          <option value="">고르세요</option>
+          {patients.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+              {p.diagnosis ? ` (${p.diagnosis})` : ""}
+            </option>
+          ))}
+        </select>
+      </Field>
+
+      <Field label="운동 / 프로그램" required>
+        <select
+          className={inputCls}
+          value={form.targetId ? `${form.targetType}:${form.targetId}` : ""}
+          onChange={(e) => {
+            const [targetType, ...rest] = e.target.value.split(":");
+            set({ targetType, targetId: rest.join(":") });
+          }}
+        >
+          <option value="">고르세요</option>
+          {assigned.size > 0 && (
+            <optgroup label="배정한 운동">
+              {programs.filter((p) => assigned.has(`program:${p.id}`)).map((p) => option("program", p.id, p.name))}
+              {items.filter((it) => assigned.has(`item:${it.id}`)).map((it) => option("item", it.id, it.title))}
+            </optgroup>
+          )}
+          {programs.length > 0 && (
+            <optgroup label="프로그램">
+              {programs.filter((p) => !assigned.has(`program:${p.id}`)).map((p) => option("program", p.id, p.name))}
+            </optgroup>
+          )}
+          <optgroup label="운동법">
+            {items.filter((it) => !assigned.has(`item:${it.id}`)).map((it) => option("item", it.id, it.title))}
+          </optgroup>
+        </select>
+      </Field>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="날짜" required>
+          <input
+            type="date"
+            className={inputCls}
+            value={form.date}
+            max={todayString()}
+            onChange={(e) => set({ date: e.target.value })}
+          />
+        </Field>
+        <Field label="완료한 세트">
+          <input
+            inputMode="numeric"
+            className={inputCls}
+            value={form.setsDone}
+            onChange={(e) => set({ setsDone: e.target.value })}
+            placeholder="예) 3"
+          />
+        </Field>
+        <Field label="운동 전 통증 (0~10)">
+          <PainSelect value={form.painBefore} onChange={(v) => set({ painBefore: v })} label="운동 전 통증" />
+        </Field>
+        <Field label="운동 후 통증 (0~10)">
+          <PainSelect value={form.painAfter} onChange={(v) => set({ painAfter: v })} label="운동 후 통증" />
+        </Field>
+      </div>
+
+      <Field label="메모">
+        <textarea
+          rows={3}
+          className={inputCls}
+          value={form.note}
+          maxLength={500}
+          onChange={(e) => set({ note: e.target.value })}
+          placeholder="예) 두 번째 세트부터 당기는 느낌"
+        />
+      </Field>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </Modal>
+  );
+}
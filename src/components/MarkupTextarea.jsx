@@ -0,0 +1,52 @@
+import { useState } from "react";
+import RichText from "./RichText.jsx";
+import { MARKUP_HINT } from "../utils/markup.js";
+
+const TABS = [
+  { key: "edit", label: "작성" },
+  { key: "preview", label: "미리보기" },
+];
+
+// 편집 모달의 서식 있는 입력칸 (작성/미리보기 탭)
+export default function MarkupTextarea({ label, value, onChange, placeholder, minHeight = "min-h-[80px]" }) {
+  const [tab, setTab] = useState("edit");
+  return (
+    <div className="mb-3">
+      <div className="mb-1 flex items-center justify-between gap-2">
+        <div className="text-sm font-medium text-gray-700">{label}</div>
+        <div className="flex rounded-lg border p-0.5 text-xs" role="tablist" aria-label={`${label} 보기`}>
+          {TABS.map((t) => (
+            <button
+              key={t.key}
+              type="button"
+              role="tab"
+              aria-selected={tab === t.key}
+              className={`rounded-md px-2 py-0.5 ${tab === t.key ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+              onClick={() => setTab(t.key)}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {tab === "edit" ? (
+        <textarea
+          className={`w-full ${minHeight} rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20`}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          aria-label={label}
+        />
+      ) : (
+        <div className={`${minHeight} rounded-lg border bg-gray-50 px-3 py-2`}>
+          {value.trim() ? (
+            <RichText text={value} className="text-sm leading-6 text-gray-800" />
+          ) : (
+            <p className="text-sm text-gray-400">내용이 없습니다.</p>
+          )}
+        </div>
+      )}
+      <p className="mt-1 text-[11px] text-gray-400">서식: {MARKUP_HINT}</p>
+    </div>
+  );
+}
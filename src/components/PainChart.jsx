@@ -0,0 +1,76 @@
+import { shortDate } from "../utils/adherence.js";
+
+const W = 320;
+const H = 150;
+const PAD = { left: 24, right: 8, top: 8, bottom: 20 };
+
+const LINES = [
+  { key: "before", label: "운동 전", className: "stroke-gray-400", dot: "fill-gray-400", dash: "4 3" },
+  { key: "after", label: "운동 후", className: "stroke-gray-900", dot: "fill-gray-900", dash: undefined },
+];
+
+// 통증 점수(0~10) 추이 — series: painSeries() 결과, 날짜 간격대로 가로축에 놓음
+export default function PainChart({ series }) {
+  if (!series.length) return <p className="py-6 text-center text-sm text-gray-500">통증 기록이 없습니다.</p>;
+
+  const days = series.map((p) => Date.parse(`${p.date}T00:00:00Z`));
+  const first = days[0];
+  const span = Math.max(1, days[days.length - 1] - first);
+  const x = (i) =>
+    series.length === 1 ? (PAD.left + W - PAD.right) / 2 : PAD.left + ((days[i] - first) / span) * (W - PAD.left - PAD.right);
+  const y = (v) => PAD.top + (1 - v / 10) * (H - PAD.top - PAD.bottom);
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full" role="img" aria-label="통증 점수 추이">
+        {[0, 5, 10].map((v) => (
+          <g key={v}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={y(v)} y2={y(v)} className="stroke-gray-200" strokeWidth={1} />
+            <text x={PAD.left - 6} y={y(v) + 3} textAnchor="end" className="fill-gray-400 text-[9px]">
+              {v}
+            </text>
+          </g>
+        ))}
+        <text x={PAD.left} y={H - 5} className="fill-gray-400 text-[9px]">
+          {shortDate(series[0].date)}
+        </text>
+        {series.length > 1 && (
+          <text x={W - PAD.right} y={H - 5} textAnchor="end" className="fill-gray-400 text-[9px]">
+            {shortDate(series[series.length - 1].date)}
+          </text>
+        )}
+        {LINES.map(({ key, label, className, dot, dash }) => {
+          const points = series.map((p, i) => [i, p[key]]).filter(([, v]) => v != null);
+          return (
+            <g key={key}>
+              <polyline
+                points={points.map(([i, v]) => `${x(i)},${y(v)}`).join(" ")}
+                fill="none"
+                strokeWidth={2}
+                strokeDasharray={dash}
+                strokeLinejoin="round"
+                className={className}
+              />
+              {points.map(([i, v]) => (
+                <circle key={i} cx={x(i)} cy={y(v)} r={2.5} className={dot}>
+                  <title>{`${shortDate(series[i].date)} ${label} ${v}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      <figcaption className="mt-1 flex gap-4 text-xs text-gray-500">
+        {LINES.map(({ key, label, className, dash }) => (
+          <span key={key} className="inline-flex items-center gap-1">
+            <svg width="18" height="6" aria-hidden>
+              <line x1="0" x2="18" y1="3" y2="3" strokeWidth={2} strokeDasharray={dash} className={className} />
+            </svg>
+            {label}
+          </span>
+        ))}
+        <span className="ml-auto">0 = 통증 없음, 10 = 가장 심함 (날짜별 평균)</span>
+      </figcaption>
+    </figure>
+  );
+}
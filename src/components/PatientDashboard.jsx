@@ -0,0 +1,188 @@
+import { useState } from "react";
+import PainChart from "./PainChart.jsx";
+import { PERIODS, adherenceOf, painSeries, shortDate, targetOf } from "../utils/adherence.js";
+import { reviewStatus } from "../utils/patients.js";
+
+const REVIEW_BADGE = {
+  overdue: ["검토일 지남", "border-red-200 bg-red-50 text-red-700"],
+  today: ["오늘 검토", "border-amber-200 bg-amber-50 text-amber-800"],
+  soon: ["곧 검토", "border-gray-200 bg-gray-50 text-gray-700"],
+};
+
+export function ReviewBadge({ patient }) {
+  const status = reviewStatus(patient);
+  if (!status) return null;
+  const [label, cls] = REVIEW_BADGE[status];
+  return <span className={`rounded-full border px-2 py-0.5 text-[10px] ${cls}`}>{label}</span>;
+}
+
+function Stat({ label, value, hint }) {
+  return (
+    <div className="rounded-xl border p-3">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-2xl font-semibold">{value == null ? "-" : `${value}%`}</div>
+      {hint && <div className="text-[11px] text-gray-400">{hint}</div>}
+    </div>
+  );
+}
+
+function pain(v) {
+  return v == null ? "-" : v;
+}
+
+// 환자 한 명: 기본 정보, 배정 운동, 수행률, 통증 추이, 기록 목록
+export default function PatientDashboard({
+  patient,
+  logs,
+  items,
+  programs,
+  onOpenItem,
+  onAddLog,
+  onEditLog,
+  onDeleteLog,
+}) {
+  const [days, setDays] = useState(14);
+  const stats = adherenceOf(logs, {
+    items,
+    programs,
+    days,
+    assignments: patient.assignments,
+    startDate: patient.startDate,
+  });
+  const sorted = [...logs].sort((a, b) => b.date.localeCompare(a.date) || b.createdAt - a.createdAt);
+
+  return (
+    <div className="space-y-4">
+      <section className="rounded-xl border p-4 text-sm">
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+          <dt className="text-gray-500">진단</dt>
+          <dd>{patient.diagnosis || "-"}</dd>
+          <dt className="text-gray-500">시작일</dt>
+          <dd>{patient.startDate || "-"}</dd>
+          <dt className="text-gray-500">다음 검토</dt>
+          <dd className="flex items-center gap-2">
+            {patient.nextReview || "-"} <ReviewBadge patient={patient} />
+          </dd>
+        </dl>
+        {patient.note && <p className="mt-2 whitespace-pre-line text-gray-700">{patient.note}</p>}
+      </section>
+
+      <section className="rounded-xl border p-4">
+        <h3 className="mb-2 text-sm font-semibold">배정 운동</h3>
+        {patient.assignments.length ? (
+          <ul className="space-y-1 text-sm">
+            {patient.assignments.map((a) => {
+              const target = targetOf(a, items, programs);
+              return (
+                <li key={`${a.targetType}:${a.targetId}`} className="flex items-center gap-2">
+                  <span className="w-12 shrink-0 text-xs text-gray-400">
+                    {a.targetType === "program" ? "프로그램" : "운동"}
+                  </span>
+                  {!target ? (
+                    <span className="text-gray-400">(삭제됨)</span>
+                  ) : a.targetType === "item" ? (
+                    <button className="text-left underline-offset-2 hover:underline" onClick={() => onOpenItem(a.targetId)}>
+                      {target.title}
+                    </button>
+                  ) : (
+                    <span>{target.title}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">배정한 운동이 없습니다. "편집"에서 추가하세요.</p>
+        )}
+      </section>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">수행 기록</h3>
+        <div className="flex items-center gap-2">
+          <select
+            className="rounded-lg border px-2 py-1.5 text-sm"
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            aria-label="기간"
+          >
+            {PERIODS.map((d) => (
+              <option key={d} value={d}>
+                최근 {d}일
+              </option>
+            ))}
+          </select>
+          <button
+            className="rounded-lg bg-gray-900 px-3 py-1.5 text-sm text-white hover:brightness-110"
+            onClick={onAddLog}
+          >
+            + 기록
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Stat label="수행률" value={stats.percent} hint="처방 빈도 대비 기록한 횟수" />
+        <Stat label="세트 완료율" value={stats.setsPercent} hint="처방 세트 대비 완료한 세트" />
+      </div>
+
+      {stats.rows.length > 0 && (
+        <section className="rounded-xl border p-4">
+          <h3 className="mb-2 text-sm font-semibold">운동별 (최근 {days}일)</h3>
+          <ul className="space-y-2 text-sm">
+            {stats.rows.map((r) => {
+              const pct = Math.round((Math.min(r.done, r.expected) / r.expected) * 100);
+              return (
+                <li key={r.key}>
+                  <div className="flex justify-between gap-2">
+                    <span className="line-clamp-1">{r.title}</span>
+                    <span className="shrink-0 text-xs text-gray-500">
+                      {r.done}/{r.expected}회 · {pct}%
+                    </span>
+                  </div>
+                  <div className="mt-1 h-1.5 rounded-full bg-gray-100">
+                    <div className="h-1.5 rounded-full bg-gray-900" style={{ width: `${pct}%` }} />
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
+      <section className="rounded-xl border p-4">
+        <h3 className="mb-2 text-sm font-semibold">통증 추이</h3>
+        <PainChart series={painSeries(logs)} />
+      </section>
+
+      <section className="rounded-xl border p-4">
+        <h3 className="mb-2 text-sm font-semibold">기록 ({logs.length})</h3>
+        {!logs.length && <p className="text-sm text-gray-500">아직 기록이 없습니다.</p>}
+        <ul className="divide-y text-sm">
+          {sorted.map((log) => {
+            const target = targetOf(log, items, programs);
+            return (
+              <li key={log.id} className="flex items-start gap-2 py-2">
+                <div className="w-12 shrink-0 text-xs text-gray-500">{shortDate(log.date)}</div>
+                <div className="min-w-0 flex-1">
+                  <div className={`line-clamp-1 ${target ? "" : "text-gray-400"}`}>
+                    {target ? target.title : "(삭제된 운동/프로그램)"}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {log.setsDone != null && `${log.setsDone}세트 · `}통증 {pain(log.painBefore)} → {pain(log.painAfter)}
+                  </div>
+                  {log.note && <p className="mt-0.5 whitespace-pre-line text-xs text-gray-700">{log.note}</p>}
+                </div>
+                <button className="shrink-0 text-xs text-gray-500 hover:underline" onClick={() => onEditLog(log)}>
+                  수정
+                </button>
+                <button className="shrink-0 text-xs text-red-600 hover:underline" onClick={() => onDeleteLog(log)}>
+                  삭제
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+    </div>
+  );
+}
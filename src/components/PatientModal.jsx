@@ -0,0 +1,169 @@
+import { useState } from "react";
+import { Field, Modal } from "./ui.jsx";
+import { todayString } from "../utils/adherence.js";
+import { EMPTY_PATIENT, addDays, sameTarget } from "../utils/patients.js";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+const REVIEW_STEPS = [
+  { days: 7, label: "1주 뒤" },
+  { days: 14, label: "2주 뒤" },
+  { days: 28, label: "4주 뒤" },
+];
+
+// 환자 추가/수정 — initial 이 없으면 새 환자
+export default function PatientModal({ initial, items, programs, onSave, onClose }) {
+  const [form, setForm] = useState(() => ({ ...EMPTY_PATIENT, startDate: todayString(), ...initial }));
+  const [error, setError] = useState("");
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  const titleOf = (a) =>
+    a.targetType === "program"
+      ? programs.find((p) => p.id === a.targetId)?.name
+      : items.find((it) => it.id === a.targetId)?.title;
+
+  function assign(value) {
+    if (!value) return;
+    const [targetType, ...rest] = value.split(":");
+    const target = { targetType, targetId: rest.join(":") };
+    if (!form.assignments.some((a) => sameTarget(a, target))) set({ assignments: [...form.assignments, target] });
+  }
+
+  function save() {
+    const name = form.name.trim();
+    if (!name) return setError("이름 또는 이니셜을 입력하세요.");
+    if (form.startDate && form.nextReview && form.nextReview < form.startDate)
+      return setError("다음 검토일이 시작일보다 빠릅니다.");
+    onSave({ ...form, name, diagnosis: form.diagnosis.trim(), note: form.note.trim() });
+  }
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={initial?.id ? "환자 정보 수정" : "새 환자"}
+      footer={
+        <>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+            취소
+          </button>
+          <button className="rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110" onClick={save}>
+            저장
+          </button>
+        </>
+      }
+    >
+      <p className="mb-3 rounded-lg bg-gray-50 p-3 text-xs text-gray-600">
+        환자 정보는 이 기기에만 저장되고 공유 링크에는 들어가지 않습니다. 가능하면 이니셜을 쓰세요.
+      </p>
+
+      <Field label="이름 또는 이니셜" required>
+        <input
+          className={inputCls}
+          value={form.name}
+          maxLength={40}
+          onChange={(e) => set({ name: e.target.value })}
+          placeholder="예) KMS, 김OO"
+        />
+      </Field>
+
+      <Field label="진단명">
+        <input
+          className={inputCls}
+          value={form.diagnosis}
+          maxLength={80}
+          onChange={(e) => set({ diagnosis: e.target.value })}
+          placeholder="예) 회전근개 부분 파열, 보존 치료"
+        />
+      </Field>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="시작일">
+          <input
+            type="date"
+            className={inputCls}
+            value={form.startDate}
+            onChange={(e) => set({ startDate: e.target.value })}
+          />
+        </Field>
+        <Field label="다음 검토일">
+          <input
+            type="date"
+            className={inputCls}
+            value={form.nextReview}
+            onChange={(e) => set({ nextReview: e.target.value })}
+          />
+        </Field>
+      </div>
+      <div className="-mt-1 mb-3 flex flex-wrap gap-1">
+        {REVIEW_STEPS.map(({ days, label }) => (
+          <button
+            key={days}
+            className="rounded-md border px-2 py-0.5 text-xs hover:bg-gray-50"
+            onClick={() => set({ nextReview: addDays(todayString(), days) })}
+          >
+            검토 {label}
+          </button>
+        ))}
+        {form.nextReview && (
+          <button className="rounded-md px-2 py-0.5 text-xs text-gray-500 hover:underline" onClick={() => set({ nextReview: "" })}>
+            검토일 지우기
+          </button>
+        )}
+      </div>
+
+      <div className="mb-3">
+        <div className="mb-1 text-sm font-medium text-gray-700">배정 운동</div>
+        {form.assignments.length > 0 && (
+          <ul className="mb-2 divide-y rounded-lg border text-sm">
+            {form.assignments.map((a) => (
+              <li key={`${a.targetType}:${a.targetId}`} className="flex items-center gap-2 px-3 py-1.5">
+                <span className="text-xs text-gray-400">{a.targetType === "program" ? "프로그램" : "운동"}</span>
+                <span className={`flex-1 ${titleOf(a) ? "" : "text-gray-400"}`}>{titleOf(a) || "(삭제됨)"}</span>
+                <button
+                  className="text-xs text-red-600 hover:underline"
+                  onClick={() => set({ assignments: form.assignments.filter((x) => !sameTarget(x, a)) })}
+                >
+                  빼기
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <select className={inputCls} value="" onChange={(e) => assign(e.target.value)} aria-label="배정할 운동 추가">
+          <option value="">+ 운동/프로그램 추가</option>
+          {programs.length > 0 && (
+            <optgroup label="프로그램">
+              {programs.map((p) => (
+                <option key={p.id} value={`program:${p.id}`}>
+                  {p.name}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          <optgroup label="운동법">
+            {items.map((it) => (
+              <option key={it.id} value={`item:${it.id}`}>
+                {it.title}
+              </option>
+            ))}
+          </optgroup>
+        </select>
+      </div>
+
+      <Field label="메모">
+        <textarea
+          rows={3}
+          className={inputCls}
+          value={form.note}
+          maxLength={1000}
+          onChange={(e) => set({ note: e.target.value })}
+          placeholder="예) 야간통 있음, 2주 뒤 밴드 강도 올리기"
+        />
+      </Field>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </Modal>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState } from "react";
+import RichText from "./RichText.jsx";
+import ResourceList from "./ResourceList.jsx";
+import { formatDosage } from "../utils/dosage.js";
+import { equipmentLabels } from "../utils/classify.js";
+import { dateKey, loadChecks, saveChecks, toggleCheck } from "../utils/patientChecks.js";
+
+// 환자용 화면: 큰 글씨, 편집 기능 없음, 운동마다 "오늘 완료" 체크
+export default function PatientView({ items, title }) {
+  const [checks, setChecks] = useState(() => loadChecks());
+  const today = dateKey();
+  const done = checks[today] || {};
+  const doneCount = items.filter((it) => done[it.id]).length;
+
+  function toggle(itemId) {
+    const next = toggleCheck(checks, itemId, today);
+    setChecks(next);
+    saveChecks(next);
+  }
+
+  return (
+    <div className="min-h-screen bg-white text-gray-900">
+      <header className="sticky top-0 z-30 border-b bg-white/90 backdrop-blur">
+        <div className="mx-auto max-w-2xl px-5 py-4">
+          <h1 className="text-2xl font-bold leading-tight">{title || "오늘의 운동"}</h1>
+          <p className="mt-1 text-base text-gray-600">
+            {new Date().toLocaleDateString(undefined, { month: "long", day: "numeric", weekday: "long" })} ·{" "}
+            <b className="text-gray-900">
+              {doneCount}/{items.length}
+            </b>{" "}
+            완료
+          </p>
+          <div className="mt-2 h-2 overflow-hidden rounded-full bg-gray-100">
+            <div
+              className="h-full bg-green-500 transition-all"
+              style={{ width: items.length ? `${(doneCount / items.length) * 100}%` : 0 }}
+            />
+          </div>
+        </div>
+      </header>
+
+      <main className="mx-auto max-w-2xl space-y-5 px-5 py-5">
+        {items.map((it, idx) => {
+          const dosage = formatDosage(it.dosage);
+          const checked = !!done[it.id];
+          return (
+            <article
+              key={it.id}
+              className={`rounded-3xl border-2 p-5 ${checked ? "border-green-500 bg-green-50" : "border-gray-200"}`}
+            >
+              <h2 className="mb-3 text-2xl font-bold leading-snug">
+                <span className="mr-2 text-gray-400">{idx + 1}.</span>
+                {it.title}
+              </h2>
+              {dosage && (
+                <p className="mb-3 rounded-xl bg-gray-900 px-4 py-2 text-lg font-semibold text-white">{dosage}</p>
+              )}
+              {!!it.equipment?.length && (
+                <p className="mb-3 text-lg">준비물: {equipmentLabels(it.equipment).join(", ")}</p>
+              )}
+              {it.content && <RichText text={it.content} className="mb-4 text-lg leading-8" />}
+              {it.caution && (
+                <div className="mb-4 rounded-2xl bg-red-50 p-4">
+                  <h3 className="mb-1 text-lg font-bold text-red-700">⚠️ 주의사항</h3>
+                  <RichText text={it.caution} className="text-lg leading-8 text-red-900" />
+                </div>
+              )}
+              {!!it.resources?.length && <ResourceList resources={it.resources} embed className="mb-4 text-lg" />}
+              <button
+                onClick={() => toggle(it.id)}
+                aria-pressed={checked}
+                className={`flex w-full items-center justify-center gap-2 rounded-2xl py-4 text-xl font-bold ${
+                  checked ? "bg-green-600 text-white" : "border-2 border-gray-300 bg-white"
+                }`}
+              >
+                {checked ? "✔ 오늘 완료했어요" : "오늘 완료 체크"}
+              </button>
+            </article>
+          );
+        })}
+        {items.length === 0 && (
+          <p className="py-16 text-center text-lg text-gray-500">표시할 운동이 없습니다.</p>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { buildProgramShareText, formatEntryDosage } from "../utils/shareText.js";
+
+// template/settings: 복사할 때와 같은 공유 텍스트 템플릿으로 미리보기
+export default function ProgramDetail({ program, items, template, settings, onOpenItem }) {
+  const byId = new Map(items.map((it) => [it.id, it]));
+  return (
+    <div className="space-y-4">
+      <section className="rounded-xl border p-4">
+        <div className="mb-2 text-xs text-gray-500">
+          생성 {new Date(program.createdAt).toLocaleString()} · 수정{" "}
+          {new Date(program.updatedAt).toLocaleString()}
+        </div>
+        {program.target && <p className="text-sm text-gray-700">대상: {program.target}</p>}
+        {program.note && (
+          <p className="mt-1 whitespace-pre-line text-sm leading-6 text-gray-800">{program.note}</p>
+        )}
+      </section>
+
+      <section className="rounded-xl border p-4">
+        <h3 className="mb-2 text-sm font-semibold">운동 구성</h3>
+        {program.entries?.length ? (
+          <ol className="space-y-2">
+            {program.entries.map((e, idx) => {
+              const item = byId.get(e.itemId);
+              const dosage = formatEntryDosage(e);
+              return (
+                <li key={idx} className="text-sm">
+                  <span className="mr-1 text-gray-400">{idx + 1}.</span>
+                  {item ? (
+                    <button className="font-medium underline-offset-2 hover:underline" onClick={() => onOpenItem(item.id)}>
+                      {item.title}
+                    </button>
+                  ) : (
+                    <span className="text-gray-400">(삭제된 운동)</span>
+                  )}
+                  {dosage && <span className="ml-2 text-xs text-gray-600">{dosage}</span>}
+                </li>
+              );
+            })}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-500">담긴 운동이 없습니다.</p>
+        )}
+      </section>
+
+      <section className="rounded-xl border p-4">
+        <h3 className="mb-2 text-sm font-semibold">카톡 전송용 미리보기</h3>
+        <pre className="whitespace-pre-wrap rounded-lg bg-gray-50 p-3 text-[13px] leading-6">
+{buildProgramShareText(program, items, template, settings)}
+        </pre>
+      </section>
+    </div>
+  );
+}
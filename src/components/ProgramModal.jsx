@@ -0,0 +1,232 @@
+import { useState } from "react";
+import { Field, Modal } from "./ui.jsx";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+function emptyEntry(itemId, item) {
+  // 운동법에 기본 처방이 있으면 그대로 채워 넣기
+  const d = item?.dosage || {};
+  return {
+    itemId,
+    sets: d.sets ?? "",
+    reps: d.reps ?? "",
+    holdSec: d.holdSec ?? "",
+    frequency: d.perDay ? `하루 ${d.perDay}회` : "",
+  };
+}
+
+// 환자별 홈 운동 프로그램 추가/편집
+// - 라이브러리의 운동을 골라 순서대로 담고, 항목마다 세트/횟수/유지시간/빈도 지정
+export default function ProgramModal({ program, items, onClose, onSave }) {
+  const [name, setName] = useState(program?.name || "");
+  const [target, setTarget] = useState(program?.target || "");
+  const [note, setNote] = useState(program?.note || "");
+  const [entries, setEntries] = useState(() =>
+    (program?.entries || []).map((e) => ({ ...emptyEntry(e.itemId), ...e }))
+  );
+  const [pickId, setPickId] = useState("");
+
+  const byId = new Map(items.map((it) => [it.id, it]));
+
+  function addEntry() {
+    if (!pickId) return;
+    setEntries((prev) => [...prev, emptyEntry(pickId, byId.get(pickId))]);
+    setPickId("");
+  }
+
+  function updateEntry(idx, patch) {
+    setEntries((prev) => prev.map((e, i) => (i === idx ? { ...e, ...patch } : e)));
+  }
+
+  function moveEntry(idx, dir) {
+    setEntries((prev) => {
+      const to = idx + dir;
+      if (to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      [next[idx], next[to]] = [next[to], next[idx]];
+      return next;
+    });
+  }
+
+  function removeEntry(idx) {
+    setEntries((prev) => prev.filter((_, i) => i !== idx));
+  }
+
+  function handleSave() {
+    const n = name.trim();
+    if (!n) {
+      alert("프로그램 이름은 필수입니다.");
+      return;
+    }
+    for (const e of entries) {
+      for (const key of ["sets", "reps", "holdSec"]) {
+        if (e[key] !== "" && !(Number(e[key]) > 0)) {
+          alert(`[${byId.get(e.itemId)?.title || "운동"}] 세트/횟수/유지시간은 양수로 입력하세요.`);
+          return;
+        }
+      }
+    }
+    onSave({
+      name: n,
+      target: target.trim(),
+      note,
+      entries: entries.map((e) => ({
+        itemId: e.itemId,
+        sets: e.sets === "" ? null : Number(e.sets),
+        reps: e.reps === "" ? null : Number(e.reps),
+        holdSec: e.holdSec === "" ? null : Number(e.holdSec),
+        frequency: String(e.frequency || "").trim(),
+      })),
+    });
+  }
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={program ? "프로그램 편집" : "새 프로그램"}
+      footer={
+        <>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+            닫기
+          </button>
+          <button
+            className="rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110"
+            onClick={handleSave}
+          >
+            저장
+          </button>
+        </>
+      }
+    >
+      <Field label="프로그램 이름" required>
+        <input
+          className={inputCls}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="예) ACL 재건술 후 2주차"
+          maxLength={80}
+        />
+      </Field>
+      <Field label="대상 (환자/상태)">
+        <input
+          className={inputCls}
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder="예) 홍길동 님 / 오십견"
+        />
+      </Field>
+      <Field label="메모 (메시지 상단에 함께 전송)">
+        <textarea
+          className={`${inputCls} min-h-[60px]`}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="예) 하루 2번, 통증 없는 범위에서 진행하세요."
+        />
+      </Field>
+
+      <div className="mb-1 text-sm font-medium text-gray-700">운동 구성</div>
+      <ol className="mb-3 space-y-2">
+        {entries.map((e, idx) => (
+          <li key={idx} className="rounded-xl border p-3">
+            <div className="mb-2 flex items-center justify-between gap-2">
+              <div className="text-sm font-semibold">
+                {idx + 1}. {byId.get(e.itemId)?.title || <span className="text-gray-400">(삭제된 운동)</span>}
+              </div>
+              <div className="flex shrink-0 gap-1 text-xs">
+                <button
+                  className="rounded border px-2 py-0.5 hover:bg-gray-50 disabled:opacity-30"
+                  onClick={() => moveEntry(idx, -1)}
+                  disabled={idx === 0}
+                  aria-label="위로"
+                >
+                  ↑
+                </button>
+                <button
+                  className="rounded border px-2 py-0.5 hover:bg-gray-50 disabled:opacity-30"
+                  onClick={() => moveEntry(idx, 1)}
+                  disabled={idx === entries.length - 1}
+                  aria-label="아래로"
+                >
+                  ↓
+                </button>
+                <button
+                  className="rounded border px-2 py-0.5 text-red-600 hover:bg-red-50"
+                  onClick={() => removeEntry(idx)}
+                  aria-label="빼기"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2 text-xs sm:grid-cols-4">
+              <label>
+                세트
+                <input
+                  type="number"
+                  min="1"
+                  className={inputCls}
+                  value={e.sets ?? ""}
+                  onChange={(ev) => updateEntry(idx, { sets: ev.target.value })}
+                />
+              </label>
+              <label>
+                횟수
+                <input
+                  type="number"
+                  min="1"
+                  className={inputCls}
+                  value={e.reps ?? ""}
+                  onChange={(ev) => updateEntry(idx, { reps: ev.target.value })}
+                />
+              </label>
+              <label>
+                유지(초)
+                <input
+                  type="number"
+                  min="1"
+                  className={inputCls}
+                  value={e.holdSec ?? ""}
+                  onChange={(ev) => updateEntry(idx, { holdSec: ev.target.value })}
+                />
+              </label>
+              <label>
+                빈도
+                <input
+                  className={inputCls}
+                  value={e.frequency}
+                  onChange={(ev) => updateEntry(idx, { frequency: ev.target.value })}
+                  placeholder="하루 2회"
+                />
+              </label>
+            </div>
+          </li>
+        ))}
+        {entries.length === 0 && (
+          <li className="rounded-xl border border-dashed px-3 py-4 text-center text-sm text-gray-500">
+            아래에서 운동을 골라 추가하세요.
+          </li>
+        )}
+      </ol>
+
+      <div className="flex gap-2">
+        <select className={inputCls} value={pickId} onChange={(e) => setPickId(e.target.value)}>
+          <option value="">운동 선택…</option>
+          {items.map((it) => (
+            <option key={it.id} value={it.id}>
+              {it.title}
+            </option>
+          ))}
+        </select>
+        <button
+          className="shrink-0 rounded-lg border px-3 py-2 text-sm hover:bg-gray-50 disabled:opacity-40"
+          onClick={addEntry}
+          disabled={!pickId}
+        >
+          추가
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,102 @@
+import { MAX_ALTERNATIVES, createsCycle, easierSteps } from "../utils/progression.js";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+// 편집 모달의 단계 / 대체 운동
+// value: { harderId, alternativeIds, progressRule }, itemId: 편집 중인 운동 (새 운동이면 null)
+export default function ProgressionEditor({ value, onChange, itemId, items }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  const others = items.filter((it) => !it.deletedAt && it.id !== itemId);
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const previous = itemId ? easierSteps({ id: itemId }, items) : [];
+  const titleOf = (id) => byId.get(id)?.title;
+  const trashed = (id) => !byId.has(id) || byId.get(id).deletedAt;
+
+  return (
+    <div className="mb-3 rounded-xl border p-3 text-sm">
+      <div className="mb-2 font-medium text-gray-700">단계 / 대체 운동</div>
+      {previous.length > 0 && (
+        <p className="mb-2 text-xs text-gray-500">이전 단계: {previous.map((it) => it.title).join(", ")}</p>
+      )}
+      <label className="mb-2 block">
+        <div className="mb-1 text-xs text-gray-500">다음 단계 (더 어려운 운동)</div>
+        <select
+          className={inputCls}
+          value={value.harderId ?? ""}
+          onChange={(e) => set({ harderId: e.target.value || null })}
+        >
+          <option value="">없음</option>
+          {value.harderId && trashed(value.harderId) && (
+            <option value={value.harderId}>{titleOf(value.harderId) || "(삭제됨)"} (휴지통)</option>
+          )}
+          {others.map((it) => {
+            const cycle = itemId && createsCycle(items, itemId, it.id);
+            return (
+              <option key={it.id} value={it.id} disabled={cycle}>
+                {it.title}
+                {cycle ? " (이전 단계라 고를 수 없음)" : ""}
+              </option>
+            );
+          })}
+        </select>
+      </label>
+      {value.harderId && (
+        <label className="mb-2 block">
+          <div className="mb-1 text-xs text-gray-500">다음 단계로 넘어가는 기준</div>
+          <input
+            className={inputCls}
+            value={value.progressRule}
+            maxLength={200}
+            onChange={(e) => set({ progressRule: e.target.value })}
+            placeholder="예) 통증 3 이하로 15회 3세트가 쉬워지면"
+          />
+        </label>
+      )}
+      <div>
+        <div className="mb-1 text-xs text-gray-500">아플 때 대신할 쉬운 운동</div>
+        {value.alternativeIds.length > 0 && (
+          <div className="mb-1 flex flex-wrap gap-1">
+            {value.alternativeIds.map((id) => (
+              <span
+                key={id}
+                className={`flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs ${
+                  trashed(id) ? "text-gray-400" : ""
+                }`}
+              >
+                {titleOf(id) || "(삭제됨)"}
+                {trashed(id) && byId.has(id) && " (휴지통)"}
+                <button
+                  type="button"
+                  className="text-gray-400 hover:text-gray-900"
+                  aria-label={`${titleOf(id) || "삭제된 운동"} 빼기`}
+                  onClick={() => set({ alternativeIds: value.alternativeIds.filter((x) => x !== id) })}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        {value.alternativeIds.length < MAX_ALTERNATIVES && (
+          <select
+            className={inputCls}
+            value=""
+            onChange={(e) => e.target.value && set({ alternativeIds: [...value.alternativeIds, e.target.value] })}
+            aria-label="대체 운동 추가"
+          >
+            <option value="">+ 대체 운동 추가</option>
+            {others
+              .filter((it) => !value.alternativeIds.includes(it.id))
+              .map((it) => (
+                <option key={it.id} value={it.id}>
+                  {it.title}
+                </option>
+              ))}
+          </select>
+        )}
+        <p className="mt-1 text-[11px] text-gray-400">비워 두면 이전 단계를 쉬운 운동으로 안내합니다.</p>
+      </div>
+    </div>
+  );
+}
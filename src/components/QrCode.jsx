@@ -0,0 +1,20 @@
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+
+// 외부 서비스 없이 브라우저에서 QR 이미지 생성
+export default function QrCode({ text, size = 96 }) {
+  const [src, setSrc] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    QRCode.toDataURL(text, { width: size * 2, margin: 1, errorCorrectionLevel: "M" })
+      .then((url) => alive && setSrc(url))
+      .catch(() => alive && setSrc(""));
+    return () => {
+      alive = false;
+    };
+  }, [text, size]);
+
+  if (!src) return <div style={{ width: size, height: size }} />;
+  return <img src={src} width={size} height={size} alt="참고 링크 QR 코드" />;
+}
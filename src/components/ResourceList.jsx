@@ -0,0 +1,47 @@
+import { embedOf, rangeLabel, resourceTypeOf, watchUrl } from "../utils/resources.js";
+import { safeLink } from "../utils/validate.js";
+
+// 참고 자료 목록 — embed 면 YouTube/Vimeo 영상은 플레이어를 바로 보여 줌
+// 예전 수정 이력에서 복원한 자료에는 검사 전 주소가 있을 수 있어 http/https 만 보여 줌
+export default function ResourceList({ resources, embed = false, className = "text-sm" }) {
+  return (
+    <ul className={`space-y-3 ${className}`}>
+      {resources
+        .filter((r) => safeLink(r.url))
+        .map((r, i) => {
+          const type = resourceTypeOf(r.type);
+          const player = embed && r.type === "video" ? embedOf(r) : null;
+          const range = rangeLabel(r);
+          return (
+            <li key={`${r.url}-${i}`}>
+              <div className="flex flex-wrap items-baseline gap-x-2">
+                <span className="shrink-0 text-xs text-gray-500">
+                  {type.icon} {type.label}
+                </span>
+                <a
+                  className="break-all text-blue-600 underline underline-offset-2 hover:opacity-80"
+                  href={watchUrl(r)}
+                  target="_blank"
+                  rel="noreferrer"
+                >
+                  {r.label || r.url}
+                </a>
+                {range && <span className="text-xs text-gray-500">{range}</span>}
+              </div>
+              {player && (
+                <iframe
+                  className="mt-2 aspect-video w-full rounded-lg border"
+                  src={player.src}
+                  title={`${r.label || "참고 영상"} (${player.provider})`}
+                  loading="lazy"
+                  allow="encrypted-media; fullscreen; picture-in-picture"
+                  referrerPolicy="strict-origin-when-cross-origin"
+                  allowFullScreen
+                />
+              )}
+            </li>
+          );
+        })}
+    </ul>
+  );
+}
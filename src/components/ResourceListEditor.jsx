@@ -0,0 +1,120 @@
+import { EMPTY_RESOURCE_ROW, MAX_RESOURCES, RESOURCE_TYPES, guessType } from "../utils/resources.js";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+// 편집 모달의 참고 자료 목록 (영상/글/PDF)
+// rows: resourcesToForm 모양 — 종류를 직접 고르기 전에는 주소를 보고 종류를 맞춤
+export default function ResourceListEditor({ rows, onChange }) {
+  function update(idx, patch) {
+    onChange(rows.map((row, i) => (i === idx ? { ...row, ...patch } : row)));
+  }
+
+  function changeUrl(idx, url) {
+    const row = rows[idx];
+    update(idx, row.typePicked ? { url } : { url, type: guessType(url) });
+  }
+
+  function move(idx, dir) {
+    const to = idx + dir;
+    if (to < 0 || to >= rows.length) return;
+    const next = [...rows];
+    [next[idx], next[to]] = [next[to], next[idx]];
+    onChange(next);
+  }
+
+  return (
+    <div className="mb-3">
+      <div className="mb-1 text-sm font-medium text-gray-700">참고 자료 (영상/글/PDF)</div>
+      <ol className="mb-2 space-y-2">
+        {rows.map((row, idx) => (
+          <li key={idx} className="rounded-xl border p-2">
+            <div className="mb-1 flex gap-2">
+              <select
+                className="rounded-lg border px-2 py-2 text-sm"
+                value={row.type}
+                onChange={(e) => update(idx, { type: e.target.value, typePicked: true })}
+                aria-label={`${idx + 1}번째 자료 종류`}
+              >
+                {RESOURCE_TYPES.map((t) => (
+                  <option key={t.key} value={t.key}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                className={inputCls}
+                value={row.label}
+                maxLength={60}
+                onChange={(e) => update(idx, { label: e.target.value })}
+                placeholder="이름 (예: 시범 영상, 병원 안내문)"
+                aria-label={`${idx + 1}번째 자료 이름`}
+              />
+            </div>
+            <input
+              className={inputCls}
+              value={row.url}
+              inputMode="url"
+              onChange={(e) => changeUrl(idx, e.target.value)}
+              placeholder="https://..."
+              aria-label={`${idx + 1}번째 자료 주소`}
+            />
+            {row.type === "video" && (
+              <div className="mt-1 flex items-center gap-2 text-xs text-gray-600">
+                구간
+                <input
+                  className="w-20 rounded-lg border px-2 py-1 text-sm"
+                  value={row.start}
+                  onChange={(e) => update(idx, { start: e.target.value })}
+                  placeholder="0:30"
+                  aria-label={`${idx + 1}번째 영상 시작 시간`}
+                />
+                ~
+                <input
+                  className="w-20 rounded-lg border px-2 py-1 text-sm"
+                  value={row.end}
+                  onChange={(e) => update(idx, { end: e.target.value })}
+                  placeholder="1:15"
+                  aria-label={`${idx + 1}번째 영상 끝 시간`}
+                />
+                <span className="text-gray-400">비워 두면 처음부터 끝까지</span>
+              </div>
+            )}
+            <div className="mt-1 flex justify-end gap-1 text-xs">
+              <button
+                className="rounded border px-2 py-0.5 hover:bg-gray-50 disabled:opacity-30"
+                onClick={() => move(idx, -1)}
+                disabled={idx === 0}
+                aria-label="위로"
+              >
+                ↑
+              </button>
+              <button
+                className="rounded border px-2 py-0.5 hover:bg-gray-50 disabled:opacity-30"
+                onClick={() => move(idx, 1)}
+                disabled={idx === rows.length - 1}
+                aria-label="아래로"
+              >
+                ↓
+              </button>
+              <button
+                className="rounded border px-2 py-0.5 text-red-600 hover:bg-red-50"
+                onClick={() => onChange(rows.filter((_, i) => i !== idx))}
+              >
+                삭제
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      {rows.length < MAX_RESOURCES && (
+        <button
+          className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50"
+          onClick={() => onChange([...rows, { ...EMPTY_RESOURCE_ROW }])}
+        >
+          + 자료 추가
+        </button>
+      )}
+    </div>
+  );
+}
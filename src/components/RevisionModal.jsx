@@ -0,0 +1,83 @@
+import { useState } from "react";
+import { Modal } from "./ui.jsx";
+import { diffLines, revisionTexts, snapshotOf } from "../utils/revisions.js";
+
+const LINE_CLS = {
+  same: "text-gray-700",
+  add: "bg-green-50 text-green-800",
+  del: "bg-red-50 text-red-800 line-through",
+};
+const LINE_MARK = { same: " ", add: "+", del: "−" };
+
+// 예전 버전과 현재 내용을 줄 단위로 비교하고 복원
+export default function RevisionModal({ item, items, onClose, onRestore }) {
+  const revisions = item.revisions || [];
+  const [idx, setIdx] = useState(0);
+  const rev = revisions[idx];
+
+  const current = revisionTexts(snapshotOf(item), items);
+  const old = rev ? revisionTexts(rev, items) : [];
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={`수정 이력 · ${item.title}`}
+      footer={
+        <>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+            닫기
+          </button>
+          <button
+            className="rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110 disabled:opacity-40"
+            disabled={!rev}
+            onClick={() => onRestore(rev)}
+          >
+            이 버전으로 복원
+          </button>
+        </>
+      }
+    >
+      {revisions.length === 0 ? (
+        <p className="py-8 text-center text-sm text-gray-500">저장된 이전 버전이 없습니다.</p>
+      ) : (
+        <>
+          <select
+            className="mb-3 w-full rounded-lg border px-3 py-2 text-sm"
+            value={idx}
+            onChange={(e) => setIdx(Number(e.target.value))}
+          >
+            {revisions.map((r, i) => (
+              <option key={i} value={i}>
+                {new Date(r.at).toLocaleString()} 버전
+              </option>
+            ))}
+          </select>
+          <p className="mb-3 text-xs text-gray-500">
+            <span className="text-red-700">− 선택한 버전</span> · <span className="text-green-700">+ 현재</span>
+          </p>
+          {old.map(([label, text], i) => {
+            const lines = diffLines(text, current[i][1]);
+            const changed = lines.some((l) => l.type !== "same");
+            if (!lines.length) return null;
+            return (
+              <section key={label} className="mb-3">
+                <h4 className="mb-1 text-sm font-semibold">
+                  {label}
+                  {!changed && <span className="ml-1 font-normal text-gray-400">(같음)</span>}
+                </h4>
+                <pre className="whitespace-pre-wrap rounded-lg border p-2 text-xs leading-5">
+                  {lines.map((l, j) => (
+                    <div key={j} className={LINE_CLS[l.type]}>
+                      {LINE_MARK[l.type]} {l.text}
+                    </div>
+                  ))}
+                </pre>
+              </section>
+            );
+          })}
+        </>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,54 @@
+import { parseInline, parseMarkup } from "../utils/markup.js";
+
+function Inline({ text }) {
+  return parseInline(text).map((p, i) => (p.bold ? <strong key={i}>{p.text}</strong> : <span key={i}>{p.text}</span>));
+}
+
+function Lines({ lines }) {
+  return lines.map((line, i) => [i > 0 && <br key={`br${i}`} />, <Inline key={i} text={line} />]);
+}
+
+// 설명/주의사항 서식 보여 주기 (글자 크기/색은 className 으로 바깥에서 정함)
+export default function RichText({ text, className = "" }) {
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {parseMarkup(text).map((block, i) => {
+        if (block.type === "ol")
+          return (
+            <ol key={i} start={block.start} className="list-decimal space-y-1 pl-6">
+              {block.lines.map((line, j) => (
+                <li key={j}>
+                  <Inline text={line} />
+                </li>
+              ))}
+            </ol>
+          );
+        if (block.type === "ul")
+          return (
+            <ul key={i} className="list-disc space-y-1 pl-6">
+              {block.lines.map((line, j) => (
+                <li key={j}>
+                  <Inline text={line} />
+                </li>
+              ))}
+            </ul>
+          );
+        if (block.type === "warn")
+          return (
+            <p
+              key={i}
+              className="rich-warning rounded border-l-4 border-amber-500 bg-amber-50 px-3 py-1 font-medium text-amber-900"
+            >
+              <span aria-hidden>⚠️ </span>
+              <Lines lines={block.lines} />
+            </p>
+          );
+        return (
+          <p key={i}>
+            <Lines lines={block.lines} />
+          </p>
+        );
+      })}
+    </div>
+  );
+}
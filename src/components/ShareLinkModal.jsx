@@ -0,0 +1,122 @@
+import { useEffect, useState } from "react";
+import { Modal } from "./ui.jsx";
+import { LOCAL_KEYS } from "../utils/ordering.js";
+import { keepLinksWithin } from "../utils/progression.js";
+import { toEnvelope } from "../utils/storage.js";
+import { PATIENT_MODE, SHARE_URL_WARN_LENGTH, buildShareUrl, encodeShare } from "../utils/shareLink.js";
+
+// 이미지는 기기 안(IndexedDB)에만 있고 수정 이력·순서·공유 기록은 받는 쪽에 필요 없으므로 링크에는 넣지 않음
+// 다음 단계/대체 운동도 함께 보내는 운동끼리만 남김
+function sharePayload(items) {
+  return keepLinksWithin(items).map((it) => {
+    const out = { ...it, images: [], revisions: [] };
+    for (const k of LOCAL_KEYS) delete out[k];
+    return out;
+  });
+}
+
+const LINK_MODES = [
+  [PATIENT_MODE, "환자용", "큰 글씨 · 편집 불가 · 오늘 완료 체크"],
+  ["", "동료용", "받은 사람이 자기 목록에 저장 가능"],
+];
+
+// 공유 범위(전체/검색 결과/선택)를 고르고 압축 링크를 만들어 복사
+export default function ShareLinkModal({ scopes, onClose, onCopy }) {
+  const [scopeKey, setScopeKey] = useState(() => (scopes.find((s) => s.items.length) || scopes[0]).key);
+  const [mode, setMode] = useState(PATIENT_MODE);
+  const [result, setResult] = useState({ key: null, url: "", error: null });
+  const scope = scopes.find((s) => s.key === scopeKey) || scopes[0];
+  const { key, items } = scope;
+  const resultKey = `${key}:${mode}`;
+
+  useEffect(() => {
+    let alive = true;
+    encodeShare(toEnvelope({ items: sharePayload(items) }))
+      .then((token) => alive && setResult({ key: resultKey, url: buildShareUrl(token, mode), error: null }))
+      .catch((e) => alive && setResult({ key: resultKey, url: "", error: e }));
+    return () => {
+      alive = false;
+    };
+  }, [resultKey, items, mode]);
+
+  const ready = result.key === resultKey && !!result.url;
+  const tooLong = ready && result.url.length > SHARE_URL_WARN_LENGTH;
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title="공유 링크 만들기"
+      footer={
+        <>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+            닫기
+          </button>
+          <button
+            className="rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110 disabled:opacity-40"
+            disabled={!ready || !scope.items.length}
+            onClick={() => onCopy(result.url, scope)}
+          >
+            링크 복사
+          </button>
+        </>
+      }
+    >
+      <div className="mb-3 text-sm font-medium text-gray-700">공유 범위</div>
+      <div className="mb-4 space-y-1">
+        {scopes.map((s) => (
+          <label
+            key={s.key}
+            className={`flex items-center gap-2 rounded-lg border px-3 py-2 text-sm ${
+              s.items.length ? "cursor-pointer hover:bg-gray-50" : "opacity-40"
+            }`}
+          >
+            <input
+              type="radio"
+              name="share-scope"
+              checked={scopeKey === s.key}
+              disabled={!s.items.length}
+              onChange={() => setScopeKey(s.key)}
+            />
+            {s.label}
+            <span className="ml-auto text-xs text-gray-500">{s.items.length}개</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="mb-2 text-sm font-medium text-gray-700">링크 종류</div>
+      <div className="mb-4 grid grid-cols-2 gap-2">
+        {LINK_MODES.map(([value, label, desc]) => (
+          <button
+            key={label}
+            onClick={() => setMode(value)}
+            className={`rounded-lg border px-3 py-2 text-left text-sm ${
+              mode === value ? "border-gray-900 bg-gray-50" : "hover:bg-gray-50"
+            }`}
+          >
+            <div className="font-medium">{label}</div>
+            <div className="text-xs text-gray-500">{desc}</div>
+          </button>
+        ))}
+      </div>
+
+      {result.error && result.key === resultKey ? (
+        <p className="rounded-lg bg-red-50 p-3 text-sm text-red-700">링크 만들기에 실패했어요.</p>
+      ) : (
+        <>
+          <textarea
+            readOnly
+            className="h-24 w-full rounded-lg border bg-gray-50 px-3 py-2 font-mono text-xs"
+            value={ready ? result.url : "만드는 중…"}
+            onFocus={(e) => e.target.select()}
+          />
+          <p className={`mt-1 text-xs ${tooLong ? "text-red-600" : "text-gray-500"}`}>
+            링크 길이 {ready ? result.url.length.toLocaleString() : "-"}자
+            {tooLong &&
+              ` · ${SHARE_URL_WARN_LENGTH.toLocaleString()}자를 넘어 카카오톡이나 일부 브라우저에서 잘릴 수 있어요. 범위를 줄이거나 JSON 내보내기를 이용하세요.`}
+          </p>
+        </>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,220 @@
+import { useRef, useState } from "react";
+import { Field, Modal } from "./ui.jsx";
+import {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_FIELDS,
+  buildShareText,
+  currentTemplate,
+  normalizeTemplates,
+  unknownPlaceholders,
+} from "../utils/shareText.js";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+// 미리볼 운동이 없을 때 쓰는 예시
+const SAMPLE_ITEM = {
+  id: "sample",
+  title: "어깨 벽 짚고 팔 올리기",
+  regions: ["shoulder"],
+  equipment: ["wall"],
+  stage: "subacute",
+  difficulty: 1,
+  dosage: { reps: 10, sets: 3, holdSec: 5, perDay: 2 },
+  content: "벽을 마주 보고 서서 손가락으로 벽을 타고 천천히 올라갑니다.",
+  caution: "날카로운 통증이 있으면 멈추세요.",
+  resources: [{ url: "https://youtu.be/example1234", label: "시범 영상", type: "video", start: 30, end: 75 }],
+  tags: ["어깨", "스트레칭"],
+  alternativeIds: ["sample-easy"],
+};
+
+// {쉬운운동} 미리보기용
+const SAMPLE_LIBRARY = [SAMPLE_ITEM, { id: "sample-easy", title: "누워서 막대 들어 올리기" }];
+
+function newId() {
+  return "t" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// 공유 텍스트 템플릿 편집: 여러 개 저장, 자리표시자 넣기, 실시간 미리보기
+// settings: { shareTemplates, shareTemplateId, clinicName, clinicPhone } → onSave(바뀐 설정)
+export default function ShareTemplateModal({ settings, item, items, onSave, onClose }) {
+  const [list, setList] = useState(() => normalizeTemplates(settings.shareTemplates));
+  const [currentId, setCurrentId] = useState(() => currentTemplate(settings).id);
+  const [clinic, setClinic] = useState({ clinicName: settings.clinicName, clinicPhone: settings.clinicPhone });
+  const refs = { greeting: useRef(null), body: useRef(null), signature: useRef(null) };
+  const lastField = useRef("body");
+
+  const template = list.find((t) => t.id === currentId) || list[0];
+  const unknown = unknownPlaceholders(template);
+
+  function update(patch) {
+    setList((prev) => prev.map((t) => (t.id === template.id ? { ...t, ...patch } : t)));
+  }
+
+  // 마지막으로 만진 칸의 커서 자리에 자리표시자 넣기
+  function insert(key) {
+    const field = lastField.current;
+    const el = refs[field].current;
+    const value = template[field];
+    const start = el ? el.selectionStart : value.length;
+    const end = el ? el.selectionEnd : value.length;
+    const token = `{${key}}`;
+    update({ [field]: value.slice(0, start) + token + value.slice(end) });
+    requestAnimationFrame(() => {
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(start + token.length, start + token.length);
+    });
+  }
+
+  function duplicate() {
+    const copy = { ...template, id: newId(), name: `${template.name} (복사본)`.slice(0, 40) };
+    setList((prev) => [...prev, copy]);
+    setCurrentId(copy.id);
+  }
+
+  function remove() {
+    if (list.length <= 1 || !confirm(`"${template.name}" 템플릿을 삭제하시겠어요?`)) return;
+    const next = list.filter((t) => t.id !== template.id);
+    setList(next);
+    setCurrentId(next[0].id);
+  }
+
+  function reset() {
+    if (!confirm("모든 템플릿을 처음 상태로 되돌릴까요? 직접 만든 템플릿은 지워집니다.")) return;
+    setList(DEFAULT_TEMPLATES);
+    setCurrentId(DEFAULT_TEMPLATES[0].id);
+  }
+
+  function save() {
+    onSave({ shareTemplates: normalizeTemplates(list), shareTemplateId: template.id, ...clinic });
+  }
+
+  const textarea = (field, rows, placeholder) => (
+    <textarea
+      ref={refs[field]}
+      rows={rows}
+      className={`${inputCls} font-mono text-[13px]`}
+      value={template[field]}
+      onFocus={() => (lastField.current = field)}
+      onChange={(e) => update({ [field]: e.target.value })}
+      placeholder={placeholder}
+    />
+  );
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title="공유 텍스트 템플릿"
+      footer={
+        <>
+          <button className="mr-auto rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={reset}>
+            처음 상태로
+          </button>
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+            취소
+          </button>
+          <button className="rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110" onClick={save}>
+            저장
+          </button>
+        </>
+      }
+    >
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <select
+          className="rounded-lg border px-3 py-2 text-sm"
+          value={template.id}
+          onChange={(e) => setCurrentId(e.target.value)}
+          aria-label="템플릿 고르기"
+        >
+          {list.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+        <button className="rounded-lg border px-3 py-2 text-sm hover:bg-gray-50" onClick={duplicate}>
+          복제해서 새로 만들기
+        </button>
+        <button
+          className="rounded-lg border px-3 py-2 text-sm text-red-600 hover:bg-red-50 disabled:opacity-40"
+          onClick={remove}
+          disabled={list.length <= 1}
+        >
+          삭제
+        </button>
+      </div>
+
+      <Field label="템플릿 이름">
+        <input
+          className={inputCls}
+          value={template.name}
+          maxLength={40}
+          onChange={(e) => update({ name: e.target.value })}
+        />
+      </Field>
+
+      <label className="mb-3 flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={template.plain} onChange={(e) => update({ plain: e.target.checked })} />
+        이모지 빼고 보내기 (문자 메시지용)
+      </label>
+
+      <div className="mb-3 rounded-lg bg-gray-50 p-3">
+        <div className="mb-1 text-sm font-medium text-gray-700">자리표시자 넣기</div>
+        <div className="flex flex-wrap gap-1">
+          {TEMPLATE_FIELDS.map(({ key, desc }) => (
+            <button
+              key={key}
+              className="rounded-md border bg-white px-2 py-0.5 text-xs hover:bg-gray-100"
+              title={desc}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => insert(key)}
+            >
+              {`{${key}}`}
+            </button>
+          ))}
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          값이 비어 있는 자리표시자 줄은 빠지고, 빈 줄로 나눈 문단 안의 자리표시자가 모두 비어 있으면 문단째 빠집니다.
+        </p>
+      </div>
+
+      <Field label="인사말 (메시지 맨 앞에 한 번)">{textarea("greeting", 2, "예) 안녕하세요, {병원}입니다.")}</Field>
+      <Field label="본문 (운동마다)">{textarea("body", 10)}</Field>
+      <Field label="맺음말 (메시지 맨 끝에 한 번)">{textarea("signature", 2, "예) 문의: {전화}")}</Field>
+
+      <div className="mb-3 grid grid-cols-2 gap-2">
+        <Field label="병원 이름 {병원}">
+          <input
+            className={inputCls}
+            value={clinic.clinicName}
+            onChange={(e) => setClinic((c) => ({ ...c, clinicName: e.target.value }))}
+          />
+        </Field>
+        <Field label="전화번호 {전화}">
+          <input
+            className={inputCls}
+            value={clinic.clinicPhone}
+            onChange={(e) => setClinic((c) => ({ ...c, clinicPhone: e.target.value }))}
+          />
+        </Field>
+      </div>
+
+      {unknown.length > 0 && (
+        <div className="mb-3 rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+          모르는 자리표시자는 그대로 보내집니다: {unknown.map((k) => `{${k}}`).join(", ")}
+        </div>
+      )}
+
+      <div className="mb-1 text-sm font-medium text-gray-700">
+        미리보기 {item ? `— ${item.title}` : "(예시 운동)"}
+      </div>
+      <pre className="whitespace-pre-wrap rounded-lg bg-gray-50 p-3 text-[13px] leading-6">
+        {item
+          ? buildShareText(item, template, clinic, items)
+          : buildShareText(SAMPLE_ITEM, template, clinic, SAMPLE_LIBRARY)}
+      </pre>
+    </Modal>
+  );
+}
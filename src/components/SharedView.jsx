@@ -0,0 +1,60 @@
+import RichText from "./RichText.jsx";
+import ResourceList from "./ResourceList.jsx";
+import { formatDosage } from "../utils/dosage.js";
+
+// 공유 링크로 받은 운동을 읽기 전용으로 보여줌
+// 내 라이브러리(IndexedDB)는 건드리지 않고, 원할 때만 "내 목록에 저장"
+export default function SharedView({ items, rejectedCount, onSave, onExit }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-white to-gray-50">
+      <header className="sticky top-0 z-30 border-b bg-white/80 backdrop-blur">
+        <div className="mx-auto flex max-w-3xl flex-wrap items-center justify-between gap-2 px-4 py-3">
+          <div>
+            <h1 className="text-lg font-semibold leading-tight">공유받은 운동 {items.length}개</h1>
+            <p className="text-xs text-gray-500">읽기 전용 · 내 목록은 바뀌지 않습니다</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-50" onClick={onExit}>
+              내 목록으로
+            </button>
+            <button
+              className="rounded-lg bg-gray-900 px-3 py-1.5 text-sm text-white hover:brightness-110 disabled:opacity-40"
+              onClick={onSave}
+              disabled={!items.length}
+            >
+              내 목록에 저장
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="mx-auto max-w-3xl space-y-4 px-4 py-4">
+        {rejectedCount > 0 && (
+          <p className="rounded-xl bg-amber-50 p-3 text-sm text-amber-800">
+            형식이 잘못된 항목 {rejectedCount}개는 표시하지 않았습니다.
+          </p>
+        )}
+        {items.map((it) => {
+          const dosage = formatDosage(it.dosage);
+          return (
+            <article key={it.id} className="rounded-2xl border bg-white p-4 shadow-sm">
+              <h2 className="mb-2 text-lg font-semibold">{it.title}</h2>
+              {dosage && <p className="mb-2 text-sm font-medium text-gray-900">{dosage}</p>}
+              {it.content && <RichText text={it.content} className="mb-2 text-sm leading-6 text-gray-800" />}
+              {it.caution && (
+                <div className="mb-2 rounded-lg bg-red-50 p-3">
+                  <h3 className="mb-1 text-sm font-semibold text-red-700">⚠️ 주의사항</h3>
+                  <RichText text={it.caution} className="text-sm leading-6 text-red-900" />
+                </div>
+              )}
+              {!!it.resources?.length && <ResourceList resources={it.resources} />}
+            </article>
+          );
+        })}
+        {items.length === 0 && (
+          <p className="py-16 text-center text-sm text-gray-500">표시할 운동이 없습니다.</p>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useMemo, useState } from "react";
+import { MAX_TAG_LENGTH, cleanTags, suggestTags, tagKey } from "../utils/tags.js";
+
+// 태그 입력: 고른 태그는 칩으로, 입력 중에는 기존 태그를 추천 (오타로 태그가 갈라지지 않게)
+// - Enter/쉼표로 추가, 위/아래 화살표로 추천 고르기, 빈 칸에서 Backspace 로 마지막 태그 지우기
+// - Field(label) 안에 넣지 말 것: label 을 누르면 첫 ✕ 버튼이 눌림
+export default function TagInput({ value, onChange, tagCounts }) {
+  const [input, setInput] = useState("");
+  const [active, setActive] = useState(-1);
+  const [focused, setFocused] = useState(false);
+
+  const suggestions = useMemo(
+    () => (input.trim() ? suggestTags(tagCounts, input, value) : []),
+    [tagCounts, input, value]
+  );
+  const exact = tagCounts.find((c) => tagKey(c.tag) === tagKey(input));
+
+  function add(tag) {
+    const next = cleanTags([...value, tag]);
+    onChange(next);
+    setInput("");
+    setActive(-1);
+  }
+
+  function onKeyDown(e) {
+    if (e.nativeEvent.isComposing) return;
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      // 이미 있는 태그는 대소문자까지 기존 표기로 맞춤
+      const pick = (active >= 0 && suggestions[active]?.tag) || exact?.tag || input;
+      if (pick.trim()) add(pick);
+    } else if (e.key === "ArrowDown" && suggestions.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length) {
+      e.preventDefault();
+      setActive((i) => (i - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === "Backspace" && !input && value.length) {
+      onChange(value.slice(0, -1));
+    } else if (e.key === "Escape") {
+      setInput("");
+    }
+  }
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1 rounded-lg border px-2 py-1.5 focus-within:ring-2 focus-within:ring-gray-900/20">
+        {value.map((tag) => (
+          <span key={tag} className="inline-flex items-center gap-1 rounded-full bg-gray-100 px-2 py-0.5 text-xs">
+            #{tag}
+            <button
+              type="button"
+              className="text-gray-400 hover:text-gray-700"
+              onClick={() => onChange(value.filter((t) => t !== tag))}
+              aria-label={`${tag} 태그 빼기`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          className="min-w-[8rem] flex-1 px-1 py-0.5 text-sm focus:outline-none"
+          value={input}
+          maxLength={MAX_TAG_LENGTH}
+          onChange={(e) => {
+            const v = e.target.value;
+            // 붙여넣은 "어깨, 재활" 같은 목록은 한 번에 추가
+            if (v.includes(",")) {
+              onChange(cleanTags([...value, ...v.split(",")]));
+              setInput("");
+            } else {
+              setInput(v);
+            }
+            setActive(-1);
+          }}
+          onKeyDown={onKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => {
+            setFocused(false);
+            if (input.trim()) add(exact?.tag ?? input);
+          }}
+          placeholder={value.length ? "" : "어깨, 재활, 스트레칭"}
+        />
+      </div>
+
+      {focused && suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 max-h-48 w-full overflow-auto rounded-lg border bg-white py-1 text-sm shadow-lg">
+          {suggestions.map((s, i) => (
+            <li key={s.tag}>
+              <button
+                type="button"
+                // blur 보다 먼저 골라지도록 mousedown 에서 처리
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  add(s.tag);
+                }}
+                className={`flex w-full items-center justify-between px-3 py-1.5 text-left ${
+                  i === active ? "bg-gray-100" : "hover:bg-gray-50"
+                }`}
+              >
+                <span>#{s.tag}</span>
+                <span className="text-xs text-gray-400">{s.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {input.trim() && !exact && active < 0 && (
+        <p className="mt-1 text-xs text-gray-500">
+          Enter 를 누르면 새 태그 "{input.trim()}"(으)로 추가됩니다.
+          {suggestions.length > 0 && " 기존 태그를 쓰려면 ↓ 로 고르세요."}
+        </p>
+      )}
+    </div>
+  );
+}
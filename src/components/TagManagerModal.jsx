@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { Modal } from "./ui.jsx";
+import { MAX_TAG_LENGTH, tagKey } from "../utils/tags.js";
+
+const inputCls =
+  "w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900/20";
+
+// 태그 관리: 하나를 고르면 이름 바꾸기, 여러 개를 고르면 한 이름으로 합치기 (모든 운동법에 적용)
+export default function TagManagerModal({ tagCounts, onMerge, onClose }) {
+  const [picked, setPicked] = useState([]);
+  const [name, setName] = useState("");
+
+  // 대소문자/띄어쓰기만 다른 태그 묶음 → 합치기 후보
+  const similar = Object.values(
+    tagCounts.reduce((groups, { tag }) => {
+      (groups[tagKey(tag)] ||= []).push(tag);
+      return groups;
+    }, {})
+  ).filter((g) => g.length > 1);
+
+  function toggle(tag) {
+    const next = picked.includes(tag) ? picked.filter((t) => t !== tag) : [...picked, tag];
+    setPicked(next);
+    if (next.length === 1 && !name.trim()) setName(next[0]);
+  }
+
+  function apply() {
+    const to = name.trim();
+    if (!picked.length || !to) return;
+    const affected = tagCounts.filter((c) => picked.includes(c.tag)).reduce((sum, c) => sum + c.count, 0);
+    const what =
+      picked.length === 1 ? `"${picked[0]}" → "${to}" 이름 바꾸기` : `${picked.length}개 태그를 "${to}"(으)로 합치기`;
+    if (!confirm(`${what}\n운동법 ${affected}개(중복 포함)에 적용됩니다.`)) return;
+    onMerge(picked, to);
+    setPicked([]);
+    setName("");
+  }
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title="태그 관리"
+      footer={
+        <button className="rounded-lg border px-4 py-2 text-sm hover:bg-gray-50" onClick={onClose}>
+          닫기
+        </button>
+      }
+    >
+      {similar.length > 0 && (
+        <div className="mb-3 rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+          <p className="mb-1 font-medium">표기만 다른 태그</p>
+          <div className="flex flex-wrap gap-2">
+            {similar.map((group) => (
+              <button
+                key={group.join("|")}
+                className="rounded-md border border-amber-300 bg-white px-2 py-1 text-xs hover:bg-amber-100"
+                onClick={() => {
+                  setPicked(group);
+                  setName(group[0]);
+                }}
+              >
+                {group.map((t) => `#${t}`).join(" · ")} 고르기
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {tagCounts.length === 0 ? (
+        <p className="py-6 text-center text-sm text-gray-500">아직 태그가 없습니다.</p>
+      ) : (
+        <ul className="mb-3 max-h-[40vh] divide-y overflow-auto rounded-lg border">
+          {tagCounts.map(({ tag, count }) => (
+            <li key={tag}>
+              <label className="flex cursor-pointer items-center gap-2 px-3 py-2 text-sm hover:bg-gray-50">
+                <input type="checkbox" checked={picked.includes(tag)} onChange={() => toggle(tag)} />
+                <span className="flex-1">#{tag}</span>
+                <span className="text-xs text-gray-400">{count}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {picked.length > 0 && (
+        <div className="rounded-lg bg-gray-50 p-3">
+          <div className="mb-1 text-sm font-medium text-gray-700">
+            {picked.length === 1 ? "새 이름" : `${picked.length}개 태그를 합칠 이름`}
+          </div>
+          <div className="flex gap-2">
+            <input
+              className={inputCls}
+              value={name}
+              maxLength={MAX_TAG_LENGTH}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && !e.nativeEvent.isComposing && apply()}
+              placeholder="예) 어깨"
+            />
+            <button
+              className="shrink-0 rounded-lg bg-gray-900 px-4 py-2 text-sm text-white hover:brightness-110 disabled:opacity-40"
+              onClick={apply}
+              disabled={!name.trim()}
+            >
+              {picked.length === 1 ? "이름 바꾸기" : "합치기"}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,65 @@
+import { splitHighlights } from "../utils/search.js";
+
+export function Badge({ children }) {
+  return (
+    <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs leading-5">
+      {children}
+    </span>
+  );
+}
+
+export function Field({ label, children, required }) {
+  return (
+    <label className="block mb-3">
+      <div className="mb-1 text-sm font-medium text-gray-700">
+        {label}
+        {required && <span className="ml-1 text-red-500">*</span>}
+      </div>
+      {children}
+    </label>
+  );
+}
+
+export function Modal({ open, onClose, children, title, footer }) {
+  if (!open) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden />
+      <div className="relative w-[92vw] max-w-xl rounded-2xl bg-white p-5 shadow-xl">
+        <div className="mb-3 flex items-center justify-between">
+          <h3 className="text-lg font-semibold">{title}</h3>
+          <button
+            className="rounded-full p-2 hover:bg-gray-100"
+            onClick={onClose}
+            aria-label="닫기"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* 스크롤 영역 */}
+        <div className="max-h-[70vh] overflow-auto pr-1">{children}</div>
+
+        {/* 항상 보이는 하단 고정 버튼 바 */}
+        {footer && (
+          <div className="sticky bottom-0 -mx-5 mt-4 border-t bg-white px-5 pt-3 flex justify-end gap-2">
+            {footer}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// 검색어와 맞은 부분 강조 (ranges: [[start, end], ...])
+export function Highlight({ text, ranges }) {
+  return splitHighlights(text, ranges).map((part, i) =>
+    part.mark ? (
+      <mark key={i} className="rounded-sm bg-yellow-200 px-0.5 text-inherit">
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  );
+}
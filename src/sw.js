@@ -0,0 +1,56 @@
+// --- 서비스 워커 (빌드 때 vite.config.js 가 앞에 __VERSION__ / __PRECACHE__ 를 붙여 dist/sw.js 로 만듦) ---
+// 앱 셸은 설치할 때 모두 캐시해 두고 캐시 먼저 응답 → 진료실 와이파이가 끊겨도 열림
+// 새 버전은 설치만 해 두고 기다렸다가, 사용자가 "새로고침"을 누르면(SKIP_WAITING) 교체
+
+const CACHE = `exercise-guide-${self.__VERSION__}`;
+const PRECACHE = self.__PRECACHE__;
+const INDEX_URL = new URL("./", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  const urls = PRECACHE.map((path) => new URL(path, self.registration.scope).href);
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(urls)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((k) => k.startsWith("exercise-guide-") && k !== CACHE).map((k) => caches.delete(k)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // 페이지 이동(공유 링크 ?data= 포함)은 항상 캐시한 index.html 로
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches.match(INDEX_URL, { cacheName: CACHE }).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE }).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
@@ -0,0 +1,102 @@
+import { dateKey as todayString } from "./patientChecks.js";
+
+// --- 환자 운동 기록 (수행률/통증 추이) ---
+// 기록: { id, patientId, targetType: "item" | "program", targetId, date: "YYYY-MM-DD",
+//         setsDone, painBefore, painAfter (0~10), note }
+
+export const PERIODS = [7, 14, 30];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 기기 시간대 기준 YYYY-MM-DD — 환자 체크와 같은 날짜 계산을 씀
+export { todayString };
+
+function dayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY);
+}
+
+export function shortDate(date) {
+  const [, m, d] = date.split("-");
+  return `${Number(m)}/${Number(d)}`;
+}
+
+function keyOf(log) {
+  return `${log.targetType}:${log.targetId}`;
+}
+
+// 기록 대상 → { title, perDay, sets } (삭제된 운동/프로그램이면 null)
+// perDay: 하루 처방 횟수 (운동은 하루 횟수 × 주당 일수/7, 프로그램은 하루 1번)
+export function targetOf(log, items, programs) {
+  if (log.targetType === "program") {
+    const program = programs.find((p) => p.id === log.targetId);
+    if (!program) return null;
+    const sets = (program.entries || []).reduce((sum, e) => sum + (e.sets || 0), 0);
+    return { title: program.name, perDay: 1, sets: sets || null };
+  }
+  const item = items.find((it) => it.id === log.targetId && !it.deletedAt);
+  if (!item) return null;
+  const d = item.dosage || {};
+  return { title: item.title, perDay: (d.perDay || 1) * (d.perWeek ? d.perWeek / 7 : 1), sets: d.sets || null };
+}
+
+function percent(done, total) {
+  return total > 0 ? Math.round((Math.min(done, total) / total) * 100) : null;
+}
+
+// 최근 days 일 수행률
+// 대상마다 처음 기록한 날(기간 시작보다 늦으면 그날)부터 오늘까지 처방 횟수 대비 기록 수
+// 기록이 없는 배정 운동(assignments)도 시작일(startDate, 없으면 기간 시작)부터 셈
+// → { percent, setsPercent, rows: [{ key, title, done, expected, setsDone, setsPrescribed }] }
+export function adherenceOf(logs, { items, programs, days, today = todayString(), assignments = [], startDate }) {
+  const end = dayNumber(today);
+  const start = end - days + 1;
+  const groups = new Map();
+  const assignedFrom = startDate ? dayNumber(startDate) : start;
+  for (const a of assignments) groups.set(keyOf(a), { log: a, first: assignedFrom, inRange: [] });
+  for (const log of logs) {
+    const g = groups.get(keyOf(log)) || { log, first: Infinity, inRange: [] };
+    const n = dayNumber(log.date);
+    g.first = Math.min(g.first, n);
+    if (n >= start && n <= end) g.inRange.push(log);
+    groups.set(keyOf(log), g);
+  }
+
+  const rows = [];
+  for (const [key, g] of groups) {
+    const target = targetOf(g.log, items, programs);
+    const from = Math.max(start, g.first);
+    if (!target || from > end) continue;
+    const expected = Math.max(1, Math.round((end - from + 1) * target.perDay));
+    let setsDone = 0;
+    let setsPrescribed = 0;
+    for (const log of g.inRange) {
+      if (log.setsDone == null || !target.sets) continue;
+      setsDone += Math.min(log.setsDone, target.sets);
+      setsPrescribed += target.sets;
+    }
+    rows.push({ key, title: target.title, done: g.inRange.length, expected, setsDone, setsPrescribed });
+  }
+
+  const sum = (k) => rows.reduce((s, r) => s + (k === "done" ? Math.min(r.done, r.expected) : r[k]), 0);
+  return {
+    percent: percent(sum("done"), sum("expected")),
+    setsPercent: percent(sum("setsDone"), sum("setsPrescribed")),
+    rows: rows.sort((a, b) => a.title.localeCompare(b.title, "ko")),
+  };
+}
+
+// 날짜별 평균 통증 [{ date, before, after }] (그날 값이 없으면 null)
+export function painSeries(logs) {
+  const byDate = new Map();
+  for (const log of logs) {
+    const d = byDate.get(log.date) || { before: [], after: [] };
+    if (log.painBefore != null) d.before.push(log.painBefore);
+    if (log.painAfter != null) d.after.push(log.painAfter);
+    byDate.set(log.date, d);
+  }
+  const avg = (list) => (list.length ? Math.round((list.reduce((a, b) => a + b, 0) / list.length) * 10) / 10 : null);
+  return [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, d]) => ({ date, before: avg(d.before), after: avg(d.after) }))
+    .filter((p) => p.before != null || p.after != null);
+}
@@ -0,0 +1,94 @@
+// --- 운동 분류 (부위/상태·단계/난이도/준비물) ---
+// 항목 필드: regions: string[], stage: "", difficulty: 1~3 | null, equipment: string[]
+
+export const REGIONS = [
+  { key: "neck", label: "목" },
+  { key: "shoulder", label: "어깨" },
+  { key: "thoracic", label: "등(흉추)" },
+  { key: "elbow", label: "팔꿈치" },
+  { key: "wrist", label: "손목·손" },
+  { key: "lumbar", label: "허리" },
+  { key: "hip", label: "고관절" },
+  { key: "knee", label: "무릎" },
+  { key: "ankle", label: "발목·발" },
+];
+
+export const STAGES = [
+  { key: "acute", label: "급성기" },
+  { key: "subacute", label: "아급성기" },
+  { key: "chronic", label: "만성기" },
+  { key: "postop-early", label: "수술 후 초기 (~6주)" },
+  { key: "postop-mid", label: "수술 후 중기 (6~12주)" },
+  { key: "postop-late", label: "수술 후 후기 (12주~)" },
+  { key: "maintenance", label: "예방·유지" },
+];
+
+export const DIFFICULTIES = [
+  { key: 1, label: "쉬움" },
+  { key: 2, label: "보통" },
+  { key: 3, label: "어려움" },
+];
+
+export const EQUIPMENT = [
+  { key: "none", label: "도구 없음" },
+  { key: "band", label: "밴드" },
+  { key: "dumbbell", label: "아령" },
+  { key: "ball", label: "짐볼/공" },
+  { key: "foamRoller", label: "폼롤러" },
+  { key: "towel", label: "수건" },
+  { key: "chair", label: "의자" },
+  { key: "wall", label: "벽" },
+  { key: "mat", label: "매트" },
+  { key: "step", label: "계단/스텝" },
+];
+
+export const EMPTY_CLASSIFICATION = { regions: [], stage: "", difficulty: null, equipment: [] };
+
+function labelMap(list) {
+  return new Map(list.map((o) => [o.key, o.label]));
+}
+
+const REGION_LABELS = labelMap(REGIONS);
+const STAGE_LABELS = labelMap(STAGES);
+const DIFFICULTY_LABELS = labelMap(DIFFICULTIES);
+const EQUIPMENT_LABELS = labelMap(EQUIPMENT);
+
+// 목록 순서대로, 모르는 값/중복은 버림
+function pickKeys(v, list) {
+  if (!Array.isArray(v)) return [];
+  const wanted = new Set(v);
+  return list.filter((o) => wanted.has(o.key)).map((o) => o.key);
+}
+
+// 저장된/가져온 값 정리 (분류가 없는 예전 항목도 그대로 통과)
+export function normalizeClassification(raw) {
+  if (!raw || typeof raw !== "object") return { ...EMPTY_CLASSIFICATION };
+  const difficulty = Number(raw.difficulty);
+  return {
+    regions: pickKeys(raw.regions, REGIONS),
+    stage: STAGE_LABELS.has(raw.stage) ? raw.stage : "",
+    difficulty: DIFFICULTY_LABELS.has(difficulty) ? difficulty : null,
+    equipment: pickKeys(raw.equipment, EQUIPMENT),
+  };
+}
+
+export function regionLabels(regions) {
+  return (regions || []).map((k) => REGION_LABELS.get(k)).filter(Boolean);
+}
+
+export function equipmentLabels(equipment) {
+  return (equipment || []).map((k) => EQUIPMENT_LABELS.get(k)).filter(Boolean);
+}
+
+export function stageLabel(stage) {
+  return STAGE_LABELS.get(stage) || "";
+}
+
+export function difficultyLabel(difficulty) {
+  return DIFFICULTY_LABELS.get(difficulty) || "";
+}
+
+// 고른 부위 중 하나라도 해당하면 통과 (고른 부위가 없으면 모두 통과)
+export function hasRegion(item, regions) {
+  return !regions.length || (item.regions || []).some((r) => regions.includes(r));
+}
@@ -0,0 +1,68 @@
+// --- IndexedDB 공통 ---
+
+const DB_NAME = "exerciseGuide";
+// v1: images / v2: items, programs, meta 추가 (localStorage 에서 이전) / v3: logs / v4: patients
+const DB_VERSION = 4;
+
+let dbPromise = null;
+let versionChangeHandler = () => {};
+
+// 다른 탭의 새 버전 앱이 DB 를 올리려 할 때 — 이 탭은 연결을 닫았으므로 새로고침해야 함
+export function onVersionChange(handler) {
+  versionChangeHandler = handler;
+}
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("이 브라우저는 IndexedDB 를 지원하지 않습니다."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of ["images", "items", "programs", "logs", "patients"]) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta", { keyPath: "key" });
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+        versionChangeHandler();
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    // 이전 버전 앱이 열린 탭이 연결을 닫지 않으면 업그레이드가 끝없이 기다리므로 바로 알림
+    // (나중에 그 탭이 닫혀 열리더라도 이미 실패로 처리했으므로 연결은 닫음)
+    req.onblocked = () => {
+      reject(
+        new Error("다른 탭에 이전 버전의 앱이 열려 있습니다. 다른 탭을 모두 닫은 뒤 이 탭을 새로고침해 주세요.")
+      );
+      req.onsuccess = () => req.result.close();
+    };
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("트랜잭션이 중단되었습니다."));
+  });
+}
@@ -0,0 +1,78 @@
+// --- 운동 처방 (횟수/세트/유지/휴식/빈도/방향) ---
+
+export const SIDE_LABELS = { left: "왼쪽", right: "오른쪽", both: "양쪽" };
+
+export const DOSAGE_FIELDS = [
+  { key: "reps", label: "횟수", unit: "회", max: 500 },
+  { key: "sets", label: "세트", unit: "세트", max: 50 },
+  { key: "holdSec", label: "유지 시간", unit: "초", max: 3600 },
+  { key: "restSec", label: "휴식 시간", unit: "초", max: 3600 },
+  { key: "perDay", label: "하루 횟수", unit: "회", max: 20 },
+  { key: "perWeek", label: "주당 일수", unit: "일", max: 7 },
+];
+
+export const EMPTY_DOSAGE = {
+  reps: null,
+  sets: null,
+  holdSec: null,
+  restSec: null,
+  perDay: null,
+  perWeek: null,
+  side: "",
+};
+
+function toPositive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// 저장된/가져온 값 정리 (처방이 없는 예전 항목도 그대로 통과)
+export function normalizeDosage(raw) {
+  if (!raw || typeof raw !== "object") return { ...EMPTY_DOSAGE };
+  const out = { ...EMPTY_DOSAGE };
+  for (const { key, max } of DOSAGE_FIELDS) {
+    const n = toPositive(raw[key]);
+    out[key] = n != null && n <= max ? n : null;
+  }
+  out.side = SIDE_LABELS[raw.side] ? raw.side : "";
+  return out;
+}
+
+// 모달 입력값(문자열) ↔ 처방 객체
+export function dosageToForm(dosage) {
+  const d = normalizeDosage(dosage);
+  const form = { side: d.side };
+  for (const { key } of DOSAGE_FIELDS) form[key] = d[key] == null ? "" : String(d[key]);
+  return form;
+}
+
+// 잘못된 값이 있으면 안내 문구, 없으면 null
+export function validateDosageForm(form) {
+  for (const { key, label, max } of DOSAGE_FIELDS) {
+    const v = String(form[key] ?? "").trim();
+    if (!v) continue;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) return `${label}은(는) 0보다 큰 숫자로 입력하세요.`;
+    if (key !== "holdSec" && key !== "restSec" && !Number.isInteger(n))
+      return `${label}은(는) 정수로 입력하세요.`;
+    if (n > max) return `${label}은(는) ${max} 이하로 입력하세요.`;
+  }
+  if (form.side && !SIDE_LABELS[form.side]) return "방향 값이 올바르지 않습니다.";
+  return null;
+}
+
+// 예) "10회 × 3세트 · 10초 유지 · 세트 간 30초 휴식 · 하루 2회 · 주 5일 · 양쪽"
+export function formatDosage(dosage) {
+  if (!dosage) return "";
+  const d = normalizeDosage(dosage);
+  const parts = [];
+  if (d.reps && d.sets) parts.push(`${d.reps}회 × ${d.sets}세트`);
+  else if (d.reps) parts.push(`${d.reps}회`);
+  else if (d.sets) parts.push(`${d.sets}세트`);
+  if (d.holdSec) parts.push(`${d.holdSec}초 유지`);
+  if (d.restSec) parts.push(`세트 간 ${d.restSec}초 휴식`);
+  if (d.perDay) parts.push(`하루 ${d.perDay}회`);
+  if (d.perWeek) parts.push(`주 ${d.perWeek}일`);
+  if (d.side) parts.push(SIDE_LABELS[d.side]);
+  return parts.join(" · ");
+}
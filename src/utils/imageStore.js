@@ -0,0 +1,121 @@
+import { openDb, requestToPromise, txDone } from "./db.js";
+import { IMAGE_TYPES } from "./validate.js";
+
+// --- 운동 사진/그림 (IndexedDB "images" 스토어) ---
+// 항목에는 { id, caption } 만 두고 실제 이미지는 여기에 Blob 으로 저장
+
+const MAX_SIDE = 1600;
+
+export async function putImage(id, blob) {
+  const db = await openDb();
+  const tx = db.transaction("images", "readwrite");
+  tx.objectStore("images").put({ id, blob, type: blob.type, savedAt: Date.now() });
+  await txDone(tx);
+}
+
+export async function getImage(id) {
+  const db = await openDb();
+  const rec = await requestToPromise(db.transaction("images").objectStore("images").get(id));
+  return rec ? rec.blob : null;
+}
+
+export async function deleteImages(ids) {
+  if (!ids.length) return;
+  const db = await openDb();
+  const tx = db.transaction("images", "readwrite");
+  const store = tx.objectStore("images");
+  for (const id of ids) store.delete(id);
+  await txDone(tx);
+}
+
+// keep 에 없는 이미지 모두 삭제 (휴지통 비우기 등에서 정리용)
+export async function pruneImages(keep) {
+  const db = await openDb();
+  const keys = await requestToPromise(db.transaction("images").objectStore("images").getAllKeys());
+  await deleteImages(keys.filter((id) => !keep.has(id)));
+}
+
+// SVG 는 createImageBitmap 이 못 읽는 브라우저가 있어 <img> 로 읽음
+async function decodeImage(file) {
+  if (file.type !== "image/svg+xml") return createImageBitmap(file);
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return { width: img.naturalWidth || MAX_SIDE, height: img.naturalHeight || MAX_SIDE, source: img, close() {} };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// 큰 사진은 긴 변 MAX_SIDE 로 줄여 저장 공간 절약 (작은 그림은 그대로)
+// IMAGE_TYPES 밖의 형식(SVG, BMP, AVIF 등)은 백업에서 빠지지 않도록 PNG/JPEG 로 바꿔 저장
+export async function prepareImage(file) {
+  if (!file.type.startsWith("image/")) throw new Error("이미지 파일만 추가할 수 있습니다.");
+  const allowed = IMAGE_TYPES.includes(file.type);
+  if (file.type === "image/gif") return file;
+  let bitmap;
+  try {
+    bitmap = await decodeImage(file);
+  } catch {
+    throw new Error(`읽을 수 없는 이미지 형식입니다 (${file.type}). PNG, JPEG, WebP, GIF 로 바꿔 올려 주세요.`);
+  }
+  const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  if (allowed && scale === 1 && file.size < 1024 * 1024) {
+    bitmap.close();
+    return file;
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap.source || bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  // 투명 배경이 있을 수 있는 그림(PNG/SVG)은 PNG 로
+  const type = file.type === "image/png" || file.type === "image/svg+xml" ? "image/png" : "image/jpeg";
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("이미지 변환 실패"))), type, 0.85)
+  );
+}
+
+// --- 백업 번들용 (JSON 안에 data URL 로 포함) ---
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export async function exportImages(ids) {
+  const assets = {};
+  for (const id of ids) {
+    let blob = await getImage(id);
+    if (!blob) continue;
+    // 예전에 그대로 저장한 SVG/BMP 등은 가져오기에서 빠지므로 여기서 바꿔 둠
+    if (!IMAGE_TYPES.includes(blob.type)) blob = await prepareImage(blob).catch(() => blob);
+    assets[id] = await blobToDataUrl(blob);
+  }
+  return assets;
+}
+
+export async function importImages(assets) {
+  for (const [id, dataUrl] of Object.entries(assets)) {
+    const blob = await (await fetch(dataUrl)).blob();
+    await putImage(id, blob);
+  }
+}
+
+export function collectImageIds(items) {
+  return items.flatMap((it) => (it.images || []).map((img) => img.id));
+}
+
+// 현재 + 수정 이력에서 참조하는 이미지
+export function collectAllImageIds(items) {
+  return items.flatMap((it) => [
+    ...collectImageIds([it]),
+    ...(it.revisions || []).flatMap((r) => (r.images || []).map((img) => img.id)),
+  ]);
+}
@@ -0,0 +1,78 @@
+// --- 설명/주의사항의 간단한 서식 ---
+// 1. 단계   → 번호 목록 (1) 도 됨)
+// - 항목    → 글머리 목록
+// ! 문장    → 눈에 띄는 경고
+// **굵게**  → 굵은 글씨
+// HTML 은 해석하지 않고 글자 그대로 보여 줌 (RichText 가 React 요소로만 그림)
+
+export const MARKUP_HINT = "1. 단계 · - 목록 · ! 경고 강조 · **굵게**";
+
+const NUMBERED = /^\s*(\d{1,2})[.)]\s+(.*)$/;
+const BULLET = /^\s*[-*•]\s+(.*)$/;
+const WARNING = /^\s*!\s*(.+)$/;
+
+function lineKind(line) {
+  let m = line.match(NUMBERED);
+  if (m) return { type: "ol", number: Number(m[1]), text: m[2] };
+  m = line.match(BULLET);
+  if (m) return { type: "ul", text: m[1] };
+  m = line.match(WARNING);
+  if (m) return { type: "warn", text: m[1] };
+  return { type: "p", text: line };
+}
+
+// 문단/목록/경고 덩어리로 나눔
+// → [{ type: "p" | "warn", lines }, { type: "ol", start, lines }, { type: "ul", lines }]
+export function parseMarkup(text) {
+  const blocks = [];
+  let cur = null;
+  for (const line of String(text || "").split(/\r?\n/)) {
+    if (!line.trim()) {
+      cur = null;
+      continue;
+    }
+    const kind = lineKind(line);
+    if (!cur || cur.type !== kind.type) {
+      cur = { type: kind.type, lines: [] };
+      if (kind.type === "ol") cur.start = kind.number;
+      blocks.push(cur);
+    }
+    cur.lines.push(kind.text);
+  }
+  return blocks;
+}
+
+// **굵게** 를 [{ text, bold }] 조각으로 (짝이 없는 ** 는 글자 그대로)
+export function parseInline(text) {
+  const parts = [];
+  let pos = 0;
+  for (const m of text.matchAll(/\*\*(.+?)\*\*/g)) {
+    if (m.index > pos) parts.push({ text: text.slice(pos, m.index), bold: false });
+    parts.push({ text: m[1], bold: true });
+    pos = m.index + m[0].length;
+  }
+  if (pos < text.length) parts.push({ text: text.slice(pos), bold: false });
+  return parts;
+}
+
+function stripInline(text) {
+  return parseInline(text)
+    .map((p) => p.text)
+    .join("");
+}
+
+// 카톡/문자용 일반 글: 굵게 표시는 빼고, 글머리는 •, 경고는 ※ 로
+export function toPlainText(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => {
+      if (!line.trim()) return line;
+      const kind = lineKind(line);
+      const body = stripInline(kind.text);
+      if (kind.type === "ol") return `${kind.number}. ${body}`;
+      if (kind.type === "ul") return `• ${body}`;
+      if (kind.type === "warn") return `※ ${body}`;
+      return body;
+    })
+    .join("\n");
+}
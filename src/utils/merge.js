@@ -0,0 +1,117 @@
+// --- 병합 가져오기 ---
+// id 로 먼저 짝을 찾고, id 가 다르면 정규화한 제목으로 한 번 더 찾는다.
+// row.kind: "add" | "same" | "conflict"
+
+export function normalizeTitle(s) {
+  return String(s || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 순서/고정/공유 기록은 기기마다 다른 사용 기록이라 내용 비교에서 뺌
+const META_KEYS = new Set(["id", "createdAt", "updatedAt", "order", "pinned", "shareCount", "lastSharedAt"]);
+
+function sameContent(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    if (META_KEYS.has(k)) continue;
+    if (JSON.stringify(a[k] ?? null) !== JSON.stringify(b[k] ?? null)) return false;
+  }
+  return true;
+}
+
+export function planMerge(existing, incoming, { titleOf = (r) => r.title } = {}) {
+  const byId = new Map(existing.map((r) => [r.id, r]));
+  const byTitle = new Map();
+  for (const r of existing) {
+    const key = normalizeTitle(titleOf(r));
+    if (key && !byTitle.has(key)) byTitle.set(key, r);
+  }
+
+  const used = new Set();
+  return incoming.map((inc) => {
+    let cur = byId.get(inc.id);
+    let matchedBy = "id";
+    if (!cur || used.has(cur.id)) {
+      cur = byTitle.get(normalizeTitle(titleOf(inc)));
+      matchedBy = "title";
+    }
+    if (!cur || used.has(cur.id)) return { kind: "add", incoming: inc };
+
+    used.add(cur.id);
+    if (sameContent(cur, inc)) return { kind: "same", incoming: inc, existing: cur, matchedBy };
+    return {
+      kind: "conflict",
+      incoming: inc,
+      existing: cur,
+      matchedBy,
+      incomingNewer: (Number(inc.updatedAt) || 0) > (Number(cur.updatedAt) || 0),
+    };
+  });
+}
+
+// 충돌 시 기본값: updatedAt 이 더 최근인 쪽
+export function resolveChoice(row, choices, idx) {
+  return choices[idx] || (row.incomingNewer ? "incoming" : "existing");
+}
+
+export function summarizeMerge(rows, choices = {}) {
+  const out = { added: [], updated: [], unchanged: [] };
+  rows.forEach((row, idx) => {
+    if (row.kind === "add") out.added.push({ row, idx });
+    else if (row.kind === "conflict" && resolveChoice(row, choices, idx) === "incoming")
+      out.updated.push({ row, idx });
+    else out.unchanged.push({ row, idx });
+  });
+  return out;
+}
+
+// { list, idMap } — idMap: 가져온 id → 실제로 쓰이는 id (프로그램 항목 재연결용)
+export function applyMerge(existing, rows, choices = {}, makeId) {
+  const ids = new Set(existing.map((r) => r.id));
+  const replace = new Map();
+  const added = [];
+  const idMap = {};
+
+  rows.forEach((row, idx) => {
+    if (row.kind === "add") {
+      let id = row.incoming.id;
+      if (!id || ids.has(id)) id = makeId();
+      ids.add(id);
+      idMap[row.incoming.id] = id;
+      added.push({ ...row.incoming, id });
+      return;
+    }
+    idMap[row.incoming.id] = row.existing.id;
+    if (row.kind === "conflict" && resolveChoice(row, choices, idx) === "incoming") {
+      replace.set(row.existing.id, {
+        ...row.incoming,
+        id: row.existing.id,
+        createdAt: row.existing.createdAt,
+      });
+    }
+  });
+
+  return { list: [...added, ...existing.map((r) => replace.get(r.id) || r)], idMap };
+}
+
+// 운동 기록 병합: 합쳐진 운동/프로그램/환자의 바뀐 id 로 다시 연결하고, 같은 id 는 최근 수정본을 남김
+// idMaps: applyMerge 가 돌려준 { items, programs, patients } idMap
+export function mergeLogs(existing, incoming, idMaps = {}) {
+  const byId = new Map(existing.map((l) => [l.id, l]));
+  const added = [];
+  for (const raw of incoming) {
+    const map = (raw.targetType === "program" ? idMaps.programs : idMaps.items) || {};
+    const log = {
+      ...raw,
+      targetId: map[raw.targetId] ?? raw.targetId,
+      patientId: idMaps.patients?.[raw.patientId] ?? raw.patientId,
+    };
+    const cur = byId.get(log.id);
+    if (!cur) added.push(log);
+    else if ((log.updatedAt || 0) > (cur.updatedAt || 0)) byId.set(log.id, log);
+  }
+  return [...added, ...existing.map((l) => byId.get(l.id))];
+}
@@ -0,0 +1,91 @@
+// --- 목록 순서 (수동 순서, 고정, 공유 횟수) ---
+// 항목 필드: order(작을수록 위), pinned(항상 맨 위), shareCount/lastSharedAt(복사·공유 링크 사용 기록)
+// 이 필드들은 이 기기에서의 사용 기록이라 가져오기/병합 때 내 값을 유지함
+
+export const LOCAL_KEYS = ["order", "pinned", "shareCount", "lastSharedAt"];
+
+export const SORT_OPTIONS = [
+  { key: "manual", label: "직접 정한 순서" },
+  { key: "updatedAt", label: "최근 수정" },
+  { key: "createdAt", label: "최근 추가" },
+  { key: "title", label: "제목" },
+  { key: "shareCount", label: "많이 공유한" },
+  { key: "lastSharedAt", label: "최근 복사한" },
+];
+
+export function compareBy(sortKey) {
+  switch (sortKey) {
+    case "manual":
+      return (a, b) => (a.order ?? 0) - (b.order ?? 0);
+    case "title":
+      return (a, b) => a.title.localeCompare(b.title, "ko");
+    case "shareCount":
+      return (a, b) => (b.shareCount || 0) - (a.shareCount || 0) || (b.lastSharedAt || 0) - (a.lastSharedAt || 0);
+    default:
+      return (a, b) => (b[sortKey] || 0) - (a[sortKey] || 0);
+  }
+}
+
+// 고정한 항목을 앞으로 (정렬은 안정적이라 나머지 순서는 그대로)
+export function pinnedFirst(list) {
+  return list.sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0));
+}
+
+// 새 항목을 맨 위에 둘 order 값
+export function topOrder(items) {
+  let min = Infinity;
+  for (const it of items) if (Number.isFinite(it.order) && it.order < min) min = it.order;
+  return min === Infinity ? 0 : min - 1;
+}
+
+// dragId 를 targetId 앞(after 면 뒤)으로 옮기고 order 를 0,1,2... 로 다시 매김
+// 고정 여부가 다른 항목 사이로는 옮기지 않음 → null
+export function moveItem(items, dragId, targetId, after = false) {
+  const sorted = pinnedFirst(items.filter((it) => !it.deletedAt).sort(compareBy("manual")));
+  const dragged = sorted.find((it) => it.id === dragId);
+  const target = sorted.find((it) => it.id === targetId);
+  if (!dragged || !target || dragged === target || !!dragged.pinned !== !!target.pinned) return null;
+
+  const rest = sorted.filter((it) => it !== dragged);
+  rest.splice(rest.indexOf(target) + (after ? 1 : 0), 0, dragged);
+  const orderOf = new Map(rest.map((it, i) => [it.id, i]));
+  return items.map((it) => {
+    const order = orderOf.get(it.id);
+    return order != null && order !== it.order ? { ...it, order } : it;
+  });
+}
+
+// 병합 가져오기 결과 정리: 원래 있던 항목은 내 순서/고정/공유 기록 유지, 새 항목은 맨 위에
+export function keepLocalOrder(list, existing) {
+  const mine = new Map(existing.map((it) => [it.id, it]));
+  const added = list.filter((it) => !mine.has(it.id));
+  const top = topOrder(existing);
+  const newOrder = new Map(added.map((it, i) => [it.id, top - added.length + 1 + i]));
+  return list.map((it) => {
+    const own = mine.get(it.id);
+    if (!own) return { ...it, order: newOrder.get(it.id), pinned: false, shareCount: 0, lastSharedAt: null };
+    if (own === it || LOCAL_KEYS.every((k) => own[k] === it[k])) return it;
+    const out = { ...it };
+    for (const k of LOCAL_KEYS) out[k] = own[k];
+    return out;
+  });
+}
+
+// 복사/공유한 항목의 공유 기록 올리기
+export function recordShares(items, ids, now = Date.now()) {
+  const set = new Set(ids);
+  return items.map((it) =>
+    set.has(it.id) ? { ...it, shareCount: (it.shareCount || 0) + 1, lastSharedAt: now } : it
+  );
+}
+
+// 되돌리기/다시 실행으로 예전 목록을 꺼낼 때 공유 기록은 지금 값을 유지
+// (공유 기록은 되돌리기 대상이 아니므로 그 사이에 공유한 횟수가 사라지지 않게)
+export function keepShareStats(snapshot, current) {
+  const byId = new Map(current.map((it) => [it.id, it]));
+  return snapshot.map((it) => {
+    const cur = byId.get(it.id);
+    if (!cur || (cur.shareCount === it.shareCount && cur.lastSharedAt === it.lastSharedAt)) return it;
+    return { ...it, shareCount: cur.shareCount, lastSharedAt: cur.lastSharedAt };
+  });
+}
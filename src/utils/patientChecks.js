@@ -0,0 +1,37 @@
+// --- 환자 "오늘 완료" 체크 ---
+// 치료사 라이브러리와 분리된 키에 날짜별로 저장: { "2025-01-31": { [itemId]: true } }
+
+export const PATIENT_CHECKS_KEY = "exerciseGuide.patientChecks";
+const KEEP_DAYS = 60;
+
+export function dateKey(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function loadChecks() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PATIENT_CHECKS_KEY) || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveChecks(checks) {
+  // 오래된 날짜는 정리
+  const keys = Object.keys(checks).sort().slice(-KEEP_DAYS);
+  const trimmed = Object.fromEntries(keys.map((k) => [k, checks[k]]));
+  try {
+    localStorage.setItem(PATIENT_CHECKS_KEY, JSON.stringify(trimmed));
+  } catch (e) {
+    console.warn("완료 기록 저장 실패", e);
+  }
+}
+
+export function toggleCheck(checks, itemId, day = dateKey()) {
+  const today = { ...(checks[day] || {}) };
+  if (today[itemId]) delete today[itemId];
+  else today[itemId] = true;
+  return { ...checks, [day]: today };
+}
@@ -0,0 +1,92 @@
+import { todayString } from "./adherence.js";
+
+// --- 환자 명단 (이 기기에만 저장, 공유 링크에는 넣지 않음) ---
+// 환자: { id, name(이름 또는 이니셜), diagnosis, startDate, nextReview ("YYYY-MM-DD" | ""),
+//         assignments: [{ targetType: "item" | "program", targetId }], note }
+
+export const EMPTY_PATIENT = {
+  name: "",
+  diagnosis: "",
+  startDate: "",
+  nextReview: "",
+  assignments: [],
+  note: "",
+};
+
+// 곧 검토할 환자로 보는 기간
+export const REVIEW_SOON_DAYS = 7;
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return todayString(d);
+}
+
+// "overdue"(지남) | "today" | "soon"(7일 안) | null
+export function reviewStatus(patient, today = todayString()) {
+  const due = patient.nextReview;
+  if (!due) return null;
+  if (due < today) return "overdue";
+  if (due === today) return "today";
+  return due <= addDays(today, REVIEW_SOON_DAYS) ? "soon" : null;
+}
+
+// 검토일이 지났거나 오늘인 환자 (급한 순)
+export function dueForReview(patients, today = todayString()) {
+  return patients
+    .filter((p) => p.nextReview && p.nextReview <= today)
+    .sort((a, b) => a.nextReview.localeCompare(b.nextReview));
+}
+
+export function sameTarget(a, b) {
+  return a.targetType === b.targetType && a.targetId === b.targetId;
+}
+
+// 다른 사람에게 넘기는 내보내기용 사본 — 환자를 알아볼 수 있는 내용을 뺌
+// - 이름 → "환자 <내보낼 때마다 새로 만든 표시>-N" (다른 파일의 환자와 이름으로 합쳐지지 않게), id 도 새로
+// - 진단명/메모, 기록 메모(자유 입력이라 이름이 들어갈 수 있음) 지움
+// - 날짜는 환자마다 첫 날짜가 ANON_BASE_DATE 가 되도록 옮겨 날짜 사이 간격만 남김
+export const ANON_BASE_DATE = "2000-01-01";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function dayDiff(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY);
+}
+
+export function anonymize(patients, logs) {
+  const tag = Math.random().toString(36).slice(2, 6).toUpperCase();
+  const outPatients = [];
+  const outLogs = [];
+  patients.forEach((p, i) => {
+    const own = logs.filter((l) => l.patientId === p.id);
+    const first = [p.startDate, ...own.map((l) => l.date)].filter(Boolean).sort()[0];
+    const shift = first ? dayDiff(first, ANON_BASE_DATE) : 0;
+    const move = (date) => (date ? addDays(date, shift) : "");
+    const moveTime = (t) => t + shift * DAY;
+    const id = `${tag}-${i + 1}`;
+    outPatients.push({
+      ...p,
+      id,
+      name: `환자 ${id}`,
+      diagnosis: "",
+      note: "",
+      startDate: move(p.startDate),
+      nextReview: move(p.nextReview),
+      createdAt: moveTime(p.createdAt),
+      updatedAt: moveTime(p.updatedAt),
+    });
+    for (const l of own) {
+      outLogs.push({
+        ...l,
+        id: `${id}-${outLogs.length + 1}`,
+        patientId: id,
+        date: move(l.date),
+        note: "",
+        createdAt: moveTime(l.createdAt),
+        updatedAt: moveTime(l.updatedAt),
+      });
+    }
+  });
+  return { patients: outPatients, logs: outLogs };
+}
@@ -0,0 +1,130 @@
+// --- 운동 단계 (쉬운 → 어려운) 와 대체 운동 ---
+// 항목 필드: harderId (다음 단계 = 더 어려운 운동 id | null), alternativeIds (아플 때 대신할 쉬운 운동 id 배열),
+//           progressRule (다음 단계로 넘어가는 기준, 자유 입력)
+// 이전 단계(더 쉬운 운동)는 따로 저장하지 않고 다른 운동의 harderId 로 거꾸로 찾음
+// 연결된 운동이 휴지통에 있으면 보이지 않고, 복원하면 다시 나타남
+
+export const MAX_ALTERNATIVES = 10;
+
+export const EMPTY_LINKS = { harderId: null, alternativeIds: [], progressRule: "" };
+
+function toLinkId(v) {
+  return typeof v === "string" && v.trim() ? v.trim().slice(0, 64) : null;
+}
+
+// 저장된/가져온 값 정리 (자기 자신을 가리키는 연결은 버림)
+export function normalizeLinks(raw, selfId) {
+  if (!raw || typeof raw !== "object") return { ...EMPTY_LINKS };
+  const harderId = toLinkId(raw.harderId);
+  const alternativeIds = [
+    ...new Set((Array.isArray(raw.alternativeIds) ? raw.alternativeIds : []).map(toLinkId).filter(Boolean)),
+  ]
+    .filter((id) => id !== selfId)
+    .slice(0, MAX_ALTERNATIVES);
+  return {
+    harderId: harderId && harderId !== selfId ? harderId : null,
+    alternativeIds,
+    progressRule: typeof raw.progressRule === "string" ? raw.progressRule.slice(0, 200) : "",
+  };
+}
+
+function activeById(items) {
+  return new Map(items.filter((it) => !it.deletedAt).map((it) => [it.id, it]));
+}
+
+// 이 운동을 다음 단계로 가리키는 운동들 (= 이전 단계)
+export function easierSteps(item, items) {
+  return items.filter((it) => !it.deletedAt && it.harderId === item.id && it.id !== item.id);
+}
+
+// { harder, easier: 이전 단계들, alternatives } — 휴지통에 있는 운동은 빼고
+export function linksOf(item, items) {
+  const byId = activeById(items);
+  return {
+    harder: (item.harderId && byId.get(item.harderId)) || null,
+    easier: easierSteps(item, items),
+    alternatives: (item.alternativeIds || []).map((id) => byId.get(id)).filter(Boolean),
+  };
+}
+
+// 아플 때 대신할 운동: 직접 고른 대체 운동, 없으면 이전 단계
+export function easierOptions(item, items) {
+  const { easier, alternatives } = linksOf(item, items);
+  return alternatives.length ? alternatives : easier;
+}
+
+// 처음 단계부터 마지막 단계까지 (갈래가 있으면 처음 찾은 쪽, 순환하면 멈춤)
+export function chainOf(item, items) {
+  const byId = activeById(items);
+  const seen = new Set([item.id]);
+  const before = [];
+  let cur = item;
+  for (;;) {
+    const prev = easierSteps(cur, items).find((it) => !seen.has(it.id));
+    if (!prev) break;
+    seen.add(prev.id);
+    before.unshift(prev);
+    cur = prev;
+  }
+  const after = [];
+  cur = item;
+  while (cur.harderId && byId.has(cur.harderId) && !seen.has(cur.harderId)) {
+    cur = byId.get(cur.harderId);
+    seen.add(cur.id);
+    after.push(cur);
+  }
+  return [...before, item, ...after];
+}
+
+// id 의 다음 단계를 harderId 로 정하면 단계가 돌고 도는지
+export function createsCycle(items, id, harderId) {
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const seen = new Set();
+  for (let cur = harderId; cur && !seen.has(cur); cur = byId.get(cur)?.harderId) {
+    if (cur === id) return true;
+    seen.add(cur);
+  }
+  return false;
+}
+
+// ids 를 다음 단계/대체 운동으로 가리키는 (ids 밖의) 활성 운동
+export function referencesTo(items, ids) {
+  return items.filter(
+    (it) =>
+      !it.deletedAt &&
+      !ids.has(it.id) &&
+      (ids.has(it.harderId) || (it.alternativeIds || []).some((id) => ids.has(id)))
+  );
+}
+
+// 영구 삭제한 운동을 가리키는 연결 지우기
+export function unlinkIds(items, ids) {
+  return items.map((it) => {
+    const dropHarder = ids.has(it.harderId);
+    const alternativeIds = (it.alternativeIds || []).filter((id) => !ids.has(id));
+    if (!dropHarder && alternativeIds.length === (it.alternativeIds || []).length) return it;
+    return { ...it, harderId: dropHarder ? null : it.harderId, alternativeIds };
+  });
+}
+
+// 일부만 내보낼 때: 목록 밖의 운동을 가리키는 연결 지우기
+export function keepLinksWithin(items) {
+  const ids = new Set(items.map((it) => it.id));
+  return items.map((it) => {
+    const harderId = ids.has(it.harderId) ? it.harderId : null;
+    const alternativeIds = (it.alternativeIds || []).filter((id) => ids.has(id));
+    if (harderId === it.harderId && alternativeIds.length === (it.alternativeIds || []).length) return it;
+    return { ...it, harderId, alternativeIds };
+  });
+}
+
+// 병합 가져오기: 가져온 운동(과 그 수정 이력)의 연결을 바뀐 id 로 다시 잇기 (existing 에 있던 객체는 그대로)
+export function remapLinks(list, idMap, existing) {
+  const mine = new Set(existing);
+  const map = (id) => idMap[id] ?? id;
+  const remap = (r) =>
+    "harderId" in r || "alternativeIds" in r
+      ? { ...r, harderId: r.harderId && map(r.harderId), alternativeIds: (r.alternativeIds || []).map(map) }
+      : r;
+  return list.map((it) => (mine.has(it) ? it : { ...remap(it), revisions: (it.revisions || []).map(remap) }));
+}
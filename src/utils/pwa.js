@@ -0,0 +1,42 @@
+// --- 서비스 워커 등록 + 새 버전 알림 ---
+// 배포 빌드에서만 등록 (개발 서버에서는 캐시 때문에 수정 사항이 안 보이는 일을 막음)
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// onUpdate(apply): 새 버전이 설치되어 기다리는 중 — apply() 를 부르면 교체 후 새로고침
+export function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  const start = () =>
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((reg) => {
+        const notify = (worker) =>
+          onUpdate(() => {
+            navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), {
+              once: true,
+            });
+            worker.postMessage({ type: "SKIP_WAITING" });
+          });
+
+        // 처음 설치할 때(controller 없음)는 알릴 필요 없음
+        if (reg.waiting && navigator.serviceWorker.controller) notify(reg.waiting);
+        reg.addEventListener("updatefound", () => {
+          const worker = reg.installing;
+          worker?.addEventListener("statechange", () => {
+            if (worker.state === "installed" && navigator.serviceWorker.controller) notify(worker);
+          });
+        });
+
+        // 오래 켜 두는 경우가 많으므로 주기적으로, 그리고 다시 화면에 올 때 확인
+        setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+        document.addEventListener("visibilitychange", () => {
+          if (document.visibilityState === "visible") reg.update().catch(() => {});
+        });
+      })
+      .catch((e) => console.warn("서비스 워커 등록 실패", e));
+
+  // 첫 화면 로딩과 겹치지 않게 load 이후에 등록
+  if (document.readyState === "complete") start();
+  else window.addEventListener("load", start, { once: true });
+}
@@ -0,0 +1,208 @@
+// --- 참고 자료 (영상/글/PDF 링크 여러 개) ---
+// 항목 필드 resources: [{ url, label, type: "video" | "article" | "pdf", start, end }]
+// start/end: 영상 구간 (초, 없으면 null) — YouTube/Vimeo 는 상세 화면에 플레이어로 넣음
+
+export const MAX_RESOURCES = 10;
+
+export const RESOURCE_TYPES = [
+  { key: "video", label: "영상", icon: "▶" },
+  { key: "article", label: "글", icon: "📄" },
+  { key: "pdf", label: "PDF", icon: "📑" },
+];
+
+export function resourceTypeOf(key) {
+  return RESOURCE_TYPES.find((t) => t.key === key) || RESOURCE_TYPES[1];
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+}
+
+function hostOf(u) {
+  return u.hostname.toLowerCase().replace(/^(www\.|m\.)/, "");
+}
+
+// "90", "1:30", "1:02:03", "1m30s" → 초 (빈칸이면 null, 알아볼 수 없으면 NaN)
+export function parseTime(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s);
+  if (/^\d+(:\d{1,2}){1,2}$/.test(s)) return s.split(":").reduce((sum, n) => sum * 60 + Number(n), 0);
+  const m = s.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (m && (m[1] || m[2] || m[3])) return (Number(m[1]) || 0) * 3600 + (Number(m[2]) || 0) * 60 + (Number(m[3]) || 0);
+  return NaN;
+}
+
+// 초 → "1:30" / "1:02:03"
+export function formatTime(sec) {
+  if (sec == null) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = sec % 60;
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+// YouTube 영상 id (watch, youtu.be, shorts, embed)
+function youtubeId(u) {
+  const host = hostOf(u);
+  let id = null;
+  if (host === "youtu.be") id = u.pathname.slice(1).split("/")[0];
+  else if (host === "youtube.com" || host === "youtube-nocookie.com" || host === "music.youtube.com") {
+    if (u.pathname === "/watch") id = u.searchParams.get("v");
+    else id = u.pathname.match(/^\/(?:shorts|embed|live)\/([^/]+)/)?.[1];
+  }
+  return id && /^[\w-]{6,20}$/.test(id) ? id : null;
+}
+
+function vimeoId(u) {
+  const host = hostOf(u);
+  if (host !== "vimeo.com" && host !== "player.vimeo.com") return null;
+  return u.pathname.match(/(?:^|\/)(\d{5,12})(?:\/|$)/)?.[1] || null;
+}
+
+// 주소에 이미 들어 있는 시작 시간 (?t=90, ?t=1m30s, #t=90s)
+function timeInUrl(u) {
+  const raw = u.searchParams.get("t") || u.searchParams.get("start") || u.hash.match(/t=([\dhms:]+)/)?.[1];
+  const sec = parseTime(raw);
+  return Number.isFinite(sec) ? sec : null;
+}
+
+// 주소만 보고 종류 짐작 (새로 붙여 넣을 때 기본값)
+export function guessType(url) {
+  const u = parseUrl(url);
+  if (!u) return "article";
+  if (youtubeId(u) || vimeoId(u) || /\.(mp4|webm|mov|m4v)$/i.test(u.pathname)) return "video";
+  if (/\.pdf$/i.test(u.pathname)) return "pdf";
+  return "article";
+}
+
+// 플레이어를 넣을 수 있으면 { provider, src }, 아니면 null
+export function embedOf(resource) {
+  const u = parseUrl(resource.url);
+  if (!u) return null;
+  const start = resource.start ?? timeInUrl(u);
+  const yt = youtubeId(u);
+  if (yt) {
+    const params = new URLSearchParams({ rel: "0" });
+    if (start) params.set("start", String(start));
+    if (resource.end) params.set("end", String(resource.end));
+    return { provider: "YouTube", src: `https://www.youtube-nocookie.com/embed/${yt}?${params}` };
+  }
+  const vm = vimeoId(u);
+  if (vm) {
+    // Vimeo 플레이어는 끝 시간을 지원하지 않음
+    return { provider: "Vimeo", src: `https://player.vimeo.com/video/${vm}${start ? `#t=${start}s` : ""}` };
+  }
+  return null;
+}
+
+// 카톡/QR 로 보낼 주소: 시작 시간이 있으면 그 위치에서 열리게
+export function watchUrl(resource) {
+  const u = parseUrl(resource.url);
+  if (!u || !resource.start) return resource.url;
+  if (youtubeId(u)) {
+    u.searchParams.set("t", `${resource.start}s`);
+    return u.toString();
+  }
+  if (vimeoId(u)) {
+    u.hash = `t=${resource.start}s`;
+    return u.toString();
+  }
+  return resource.url;
+}
+
+// "1:30 ~ 2:10" / "1:30부터" / ""
+export function rangeLabel(resource) {
+  const { start, end } = resource;
+  if (start && end) return `${formatTime(start)} ~ ${formatTime(end)}`;
+  if (start) return `${formatTime(start)}부터`;
+  if (end) return `${formatTime(end)}까지`;
+  return "";
+}
+
+// 같은 자료인지 비교할 키 (www/http·https/끝 슬래시, YouTube 주소 모양 차이는 무시)
+export function resourceKey(url) {
+  const u = parseUrl(url);
+  if (!u) return String(url).trim();
+  const yt = youtubeId(u);
+  if (yt) return `youtube:${yt}`;
+  const vm = vimeoId(u);
+  if (vm) return `vimeo:${vm}`;
+  return `${hostOf(u)}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+}
+
+// 두 번 이상 들어 있는 주소 (처음 나온 것의 주소로)
+export function duplicateResources(list) {
+  const seen = new Map();
+  const dup = new Set();
+  for (const r of list) {
+    const key = resourceKey(r.url);
+    if (seen.has(key)) dup.add(seen.get(key));
+    else seen.set(key, r.url);
+  }
+  return [...dup];
+}
+
+// --- 편집 양식 (시간은 입력한 글자 그대로 두고 저장할 때 초로 바꿈) ---
+
+export const EMPTY_RESOURCE_ROW = { url: "", label: "", type: "video", start: "", end: "" };
+
+export function resourcesToForm(list) {
+  return (list || []).map((r) => ({
+    url: r.url,
+    label: r.label || "",
+    type: r.type || guessType(r.url),
+    start: formatTime(r.start),
+    end: formatTime(r.end),
+    typePicked: true,
+  }));
+}
+
+function isWebUrl(url) {
+  const u = parseUrl(url);
+  return !!u && (u.protocol === "http:" || u.protocol === "https:") && !!u.hostname;
+}
+
+// 첫 번째 문제를 문장으로, 없으면 null (주소가 빈 줄은 저장할 때 버림)
+export function validateResourcesForm(rows) {
+  for (const [i, row] of rows.entries()) {
+    const url = row.url.trim();
+    const no = `${i + 1}번째 자료`;
+    if (!url) {
+      if (row.label.trim()) return `${no}의 주소를 입력하세요.`;
+      continue;
+    }
+    if (!isWebUrl(url)) return `${no}: http:// 또는 https:// 로 시작하는 올바른 주소를 입력하세요.`;
+    const start = parseTime(row.start);
+    const end = parseTime(row.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) return `${no}: 시간은 1:30 또는 90(초)처럼 입력하세요.`;
+    if (start != null && end != null && end <= start) return `${no}: 끝 시간이 시작 시간보다 늦어야 합니다.`;
+  }
+  if (rows.filter((r) => r.url.trim()).length > MAX_RESOURCES)
+    return `참고 자료는 ${MAX_RESOURCES}개까지 넣을 수 있습니다.`;
+  return null;
+}
+
+export function formToResources(rows) {
+  return rows
+    .filter((row) => row.url.trim())
+    .map((row) => ({
+      url: row.url.trim(),
+      label: row.label.trim(),
+      type: row.type,
+      start: parseTime(row.start) || null,
+      end: parseTime(row.end) || null,
+    }));
+}
+
+// 목록/공유 글에 쓸 한 줄: "라벨 (1:30부터) 주소"
+export function resourceLine(resource) {
+  const range = rangeLabel(resource);
+  const head = [resource.label, range && `(${range})`].filter(Boolean).join(" ");
+  return head ? `${head} ${watchUrl(resource)}` : watchUrl(resource);
+}
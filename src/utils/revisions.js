@@ -0,0 +1,100 @@
+import { difficultyLabel, equipmentLabels, regionLabels, stageLabel } from "./classify.js";
+import { formatDosage } from "./dosage.js";
+import { resourceLine } from "./resources.js";
+
+// --- 항목별 수정 이력 ---
+// item.revisions: 예전 버전들 (최신이 앞), { at, ...FIELDS }
+
+export const REVISION_LIMIT = 20;
+const FIELDS = [
+  "title",
+  "content",
+  "caution",
+  "resources",
+  "tags",
+  "dosage",
+  "images",
+  "regions",
+  "stage",
+  "difficulty",
+  "equipment",
+  "harderId",
+  "alternativeIds",
+  "progressRule",
+];
+
+export function snapshotOf(item) {
+  const snap = { at: item.updatedAt || Date.now() };
+  for (const key of FIELDS) snap[key] = item[key];
+  return snap;
+}
+
+export function sameRevision(a, b) {
+  return FIELDS.every((k) => JSON.stringify(a[k] ?? null) === JSON.stringify(b[k] ?? null));
+}
+
+// 저장 직전의 항목을 이력 맨 앞에 추가 (내용이 같으면 그대로)
+export function withRevision(before, after) {
+  if (sameRevision(before, after)) return after;
+  const revisions = [snapshotOf(before), ...(before.revisions || [])].slice(0, REVISION_LIMIT);
+  return { ...after, revisions };
+}
+
+// 다른 탭과 동시에 고친 경우: 남기지 않은 쪽 내용을 이력에 보관
+export function keepAsRevision(item, other) {
+  if (sameRevision(item, other)) return item;
+  const revisions = [snapshotOf(other), ...(item.revisions || [])].slice(0, REVISION_LIMIT);
+  return { ...item, revisions };
+}
+
+// 비교 화면에 보여줄 필드별 텍스트 (items: 다음 단계/대체 운동 이름을 찾을 목록)
+export function revisionTexts(rev, items = []) {
+  const titleOf = (id) => items.find((it) => it.id === id)?.title || "(삭제된 운동)";
+  return [
+    ["제목", rev.title || ""],
+    ["운동 설명", rev.content || ""],
+    ["처방", formatDosage(rev.dosage)],
+    ["주의사항", rev.caution || ""],
+    ["참고 자료", (rev.resources || []).map(resourceLine).join("\n")],
+    ["태그", (rev.tags || []).join(", ")],
+    ["부위", regionLabels(rev.regions).join(", ")],
+    ["상태/단계", stageLabel(rev.stage)],
+    ["난이도", difficultyLabel(rev.difficulty)],
+    ["준비물", equipmentLabels(rev.equipment).join(", ")],
+    ["다음 단계", rev.harderId ? titleOf(rev.harderId) : ""],
+    ["단계 기준", rev.progressRule || ""],
+    ["쉬운 대체", (rev.alternativeIds || []).map(titleOf).join("\n")],
+    ["사진", (rev.images || []).map((img, i) => `${i + 1}. ${img.caption || "(설명 없음)"}`).join("\n")],
+  ];
+}
+
+// 줄 단위 비교 (LCS) → [{ type: "same" | "add" | "del", text }]
+export function diffLines(oldText, newText) {
+  const a = oldText ? oldText.split("\n") : [];
+  const b = newText ? newText.split("\n") : [];
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: "del", text: a[i++] });
+    } else {
+      out.push({ type: "add", text: b[j++] });
+    }
+  }
+  while (i < n) out.push({ type: "del", text: a[i++] });
+  while (j < m) out.push({ type: "add", text: b[j++] });
+  return out;
+}
@@ -0,0 +1,301 @@
+import { equipmentLabels, regionLabels } from "./classify.js";
+
+// --- 운동법 검색 ---
+// - 공백으로 나눈 단어는 모두 맞아야 함 (AND), 점수 순으로 정렬
+// - 초성 검색: "ㅎㅈㄱ" → "회전근", 섞어 써도 됨 ("회전ㄱ")
+// - 오타 허용: 3글자 이상이면 1글자, 6글자 이상이면 2글자까지 틀려도 찾음 (낮은 점수)
+// - 필드 지정: tag:어깨, caution:통증, title:, content:, region:, equipment:
+//   (한글 태그:, 주의:, 제목:, 내용:, 부위:, 준비물:)
+// - 제외: -tag:수술후, -통증 (제외 조건은 오타 허용 없이 정확히 비교)
+// - 따옴표로 공백 포함: tag:"어깨 통증"
+
+const FIELD_ALIASES = {
+  tag: "tags",
+  tags: "tags",
+  태그: "tags",
+  caution: "caution",
+  주의: "caution",
+  주의사항: "caution",
+  title: "title",
+  제목: "title",
+  content: "content",
+  내용: "content",
+  설명: "content",
+  region: "regions",
+  부위: "regions",
+  equipment: "equipment",
+  준비물: "equipment",
+};
+
+// 필드별 가중치 — 제목에서 맞은 것이 가장 앞에
+const WEIGHTS = { title: 3, tags: 2, regions: 2, equipment: 1, content: 1, caution: 1 };
+const SEARCH_FIELDS = ["title", "tags", "regions", "equipment", "content", "caution"];
+// 여러 값이 있는 필드 (값마다 따로 비교)
+const LIST_FIELDS = new Set(["tags", "regions", "equipment"]);
+
+const CHOSUNG = "ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ";
+const HANGUL_START = 0xac00;
+const HANGUL_END = 0xd7a3;
+
+function isJamoConsonant(ch) {
+  return ch >= "ㄱ" && ch <= "ㅎ";
+}
+
+// 글자마다 초성으로 바꾼 문자열 (한글이 아닌 글자는 그대로 → 위치가 원문과 1:1)
+function toChosung(text) {
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    out += code < HANGUL_START || code > HANGUL_END ? text[i] : CHOSUNG[Math.floor((code - HANGUL_START) / 588)];
+  }
+  return out;
+}
+
+// → [{ field: null | "title" | "tags" | "content" | "caution", text, negate }]
+export function parseQuery(query) {
+  const terms = [];
+  const re = /(-?)(?:([^\s:"]+):)?(?:"([^"]*)"?|(\S*))/g;
+  let m;
+  while ((m = re.exec(query)) !== null) {
+    if (m[0] === "") {
+      re.lastIndex++;
+      continue;
+    }
+    const [whole, minus, rawField, quoted, bare] = m;
+    let field = rawField ? FIELD_ALIASES[rawField.toLowerCase()] : null;
+    let text = quoted ?? bare ?? "";
+    // 모르는 필드 이름(예: 주소의 "https:")은 그냥 검색어로
+    if (rawField && !field) text = whole.slice(minus.length);
+    text = text.trim().toLowerCase();
+    if (!text) continue;
+    terms.push({ field: field || null, text, negate: minus === "-" });
+  }
+  return terms;
+}
+
+// 검색용 문자열 { text, cho } — 초성은 초성 검색어가 나올 때만 만듦
+function entry(text) {
+  return { text, cho: null };
+}
+
+function chosungText(e) {
+  if (e.cho == null) e.cho = toChosung(e.text);
+  return e.cho;
+}
+
+// 항목별 검색용 문자열은 항목 객체가 바뀔 때만 다시 만듦
+const indexCache = new WeakMap();
+
+function indexOf(item) {
+  let idx = indexCache.get(item);
+  if (!idx) {
+    idx = {
+      title: entry((item.title || "").toLowerCase()),
+      content: entry((item.content || "").toLowerCase()),
+      caution: entry((item.caution || "").toLowerCase()),
+      tags: (item.tags || []).map((t) => entry(t.toLowerCase())),
+      regions: regionLabels(item.regions).map((t) => entry(t.toLowerCase())),
+      equipment: equipmentLabels(item.equipment).map((t) => entry(t.toLowerCase())),
+    };
+    indexCache.set(item, idx);
+  }
+  return idx;
+}
+
+// 검색어 한 글자가 본문 한 글자와 맞는지 (검색어 쪽 초성은 그 초성으로 시작하는 글자와 맞음)
+function charMatches(q, t, c) {
+  return q === t || (c !== undefined && q === c && isJamoConsonant(q));
+}
+
+// 정확히(초성 포함) 맞는 첫 위치
+function findExact(e, pat) {
+  if (!pat.jamo) return e.text.indexOf(pat.text);
+  const text = e.text;
+  const cho = chosungText(e);
+  const p = pat.text;
+  const m = p.length;
+  outer: for (let i = 0; i + m <= text.length; i++) {
+    for (let k = 0; k < m; k++) if (!charMatches(p[k], text[i + k], cho[i + k])) continue outer;
+    return i;
+  }
+  return -1;
+}
+
+// 오타 허용 부분 일치 (Sellers, 시작 위치도 함께 추적) → { errors, start, end } | null
+function findApprox(text, pat, maxErrors) {
+  // 오타가 k개면 검색어를 k+1 조각으로 나눴을 때 적어도 한 조각은 그대로 있어야 함 → 빠르게 거름
+  if (!pat.pieces.some((piece) => text.includes(piece))) return null;
+  const m = pat.text.length;
+  let prev = new Array(m + 1);
+  let cur = new Array(m + 1);
+  let prevStart = new Array(m + 1);
+  let curStart = new Array(m + 1);
+  for (let i = 0; i <= m; i++) {
+    prev[i] = i;
+    prevStart[i] = 0;
+  }
+  let best = null;
+  for (let j = 0; j < text.length; j++) {
+    cur[0] = 0;
+    curStart[0] = j + 1;
+    for (let i = 1; i <= m; i++) {
+      const diag = prev[i - 1] + (pat.text[i - 1] === text[j] ? 0 : 1);
+      const up = prev[i] + 1;
+      const left = cur[i - 1] + 1;
+      if (diag <= up && diag <= left) {
+        cur[i] = diag;
+        curStart[i] = i === 1 ? j : prevStart[i - 1];
+      } else if (up <= left) {
+        cur[i] = up;
+        curStart[i] = prevStart[i];
+      } else {
+        cur[i] = left;
+        curStart[i] = curStart[i - 1];
+      }
+    }
+    // 오류 수가 같으면 같은 곳에서 시작해 더 길게 맞은 쪽 (강조 범위가 단어 전체를 덮도록)
+    const better = !best || cur[m] < best.errors || (cur[m] === best.errors && curStart[m] === best.start);
+    if (cur[m] <= maxErrors && better) {
+      best = { errors: cur[m], start: curStart[m], end: j + 1 };
+      if (cur[m] === 0) break;
+    }
+    [prev, cur] = [cur, prev];
+    [prevStart, curStart] = [curStart, prevStart];
+  }
+  return best;
+}
+
+// 검색어 전처리 — 초성 포함 여부, 허용 오타 수, 빠른 거름용 조각
+function compile(text) {
+  const jamo = [...text].some(isJamoConsonant);
+  const maxErrors = jamo ? 0 : text.length >= 6 ? 2 : text.length >= 3 ? 1 : 0;
+  const pieces = [];
+  const size = Math.ceil(text.length / (maxErrors + 1));
+  for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+  return { text, jamo, maxErrors, pieces };
+}
+
+// 한 문자열 안에서 검색어 찾기 → { score, range: [start, end] } | null
+function matchText(e, pat, fuzzy) {
+  if (!e.text) return null;
+  const at = findExact(e, pat);
+  if (at >= 0) {
+    let score = pat.jamo ? 60 : 100;
+    if (at === 0) score += 20;
+    else if (/[\s,./()-]/.test(e.text[at - 1])) score += 10;
+    return { score, range: [at, at + pat.text.length] };
+  }
+  if (!fuzzy || !pat.maxErrors) return null;
+  const hit = findApprox(e.text, pat, pat.maxErrors);
+  if (!hit) return null;
+  return { score: 40 - 15 * hit.errors, range: [hit.start, hit.end] };
+}
+
+// 한 필드에서 검색어 찾기 → { score, hits: { field: ranges | { index: ranges } } } | null
+function matchField(idx, field, pat, fuzzy) {
+  if (LIST_FIELDS.has(field)) {
+    let best = null;
+    const hits = {};
+    idx[field].forEach((value, i) => {
+      const r = matchText(value, pat, fuzzy);
+      if (!r) return;
+      hits[i] = [r.range];
+      if (!best || r.score > best) best = r.score;
+    });
+    return best == null ? null : { score: best * WEIGHTS[field], hits: { [field]: hits } };
+  }
+  const r = matchText(idx[field], pat, fuzzy);
+  return r ? { score: r.score * WEIGHTS[field], hits: { [field]: [r.range] } } : null;
+}
+
+function mergeHits(into, hits) {
+  for (const [field, value] of Object.entries(hits)) {
+    if (LIST_FIELDS.has(field)) {
+      const list = (into[field] = into[field] || {});
+      for (const [i, ranges] of Object.entries(value)) list[i] = [...(list[i] || []), ...ranges];
+    } else {
+      into[field] = [...(into[field] || []), ...value];
+    }
+  }
+}
+
+// 한 항목 평가 → { score, hits } | null (조건에 안 맞음)
+function evaluate(item, terms) {
+  const idx = indexOf(item);
+  let score = 0;
+  const hits = {};
+  for (const term of terms) {
+    const fields = term.field ? [term.field] : SEARCH_FIELDS;
+    if (term.negate) {
+      if (fields.some((f) => matchField(idx, f, term.pat, false))) return null;
+      continue;
+    }
+    let best = null;
+    for (const f of fields) {
+      const r = matchField(idx, f, term.pat, true);
+      if (!r) continue;
+      mergeHits(hits, r.hits);
+      if (!best || r.score > best.score) best = r;
+    }
+    if (!best) return null;
+    score += best.score;
+  }
+  return { score, hits };
+}
+
+// → { items: 점수 순으로 정렬된 항목, hits: Map(id → 강조 위치) }
+// 검색어가 없으면 null (호출 쪽에서 원래 정렬 유지)
+// compare: 점수가 같을 때 쓸 정렬 기준
+export function searchItems(items, query, compare) {
+  const terms = parseQuery(query).map((t) => ({ ...t, pat: compile(t.text) }));
+  if (!terms.length) return null;
+  const scored = [];
+  const hits = new Map();
+  for (const item of items) {
+    const r = evaluate(item, terms);
+    if (!r) continue;
+    scored.push({ item, score: r.score });
+    hits.set(item.id, r.hits);
+  }
+  scored.sort((a, b) => b.score - a.score || compare(a.item, b.item));
+  return { items: scored.map((s) => s.item), hits };
+}
+
+// 태그 자동완성용: 태그 하나에 검색어가 맞으면 점수, 아니면 null
+export function matchTag(tag, query) {
+  const r = matchText(entry(tag.toLowerCase()), compile(query.toLowerCase()), true);
+  return r ? r.score : null;
+}
+
+// 강조 위치가 있는 긴 글은 첫 위치 주변만 잘라서 보여줌 → { text, ranges }
+export function snippetAround(text, ranges, radius = 24) {
+  if (!ranges?.length) return { text, ranges: [] };
+  const first = Math.min(...ranges.map((r) => r[0]));
+  if (first <= radius) return { text, ranges };
+  const offset = first - radius;
+  return {
+    text: `…${text.slice(offset)}`,
+    ranges: ranges.map(([s, e]) => [s - offset + 1, e - offset + 1]).filter(([s]) => s >= 1),
+  };
+}
+
+// 겹치는 구간을 합쳐서 [{ text, mark }] 조각으로
+export function splitHighlights(text, ranges) {
+  if (!ranges?.length) return [{ text, mark: false }];
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [s, e] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  const parts = [];
+  let pos = 0;
+  for (const [s, e] of merged) {
+    if (s > pos) parts.push({ text: text.slice(pos, s), mark: false });
+    parts.push({ text: text.slice(s, e), mark: true });
+    pos = e;
+  }
+  if (pos < text.length) parts.push({ text: text.slice(pos), mark: false });
+  return parts;
+}
@@ -0,0 +1,28 @@
+// --- 기기별 설정 (라이브러리 데이터와 분리) ---
+
+export const SETTINGS_KEY = "exerciseGuide.settings";
+
+const DEFAULTS = {
+  clinicName: "",
+  clinicPhone: "",
+  // 공유 텍스트 템플릿 (null 이면 기본 템플릿) — shareText.js normalizeTemplates 참고
+  shareTemplates: null,
+  shareTemplateId: "default",
+};
+
+export function loadSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    return { ...DEFAULTS, ...(parsed && typeof parsed === "object" ? parsed : {}) };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("설정 저장 실패", e);
+  }
+}
@@ -0,0 +1,85 @@
+// --- 공유 링크 ---
+// 형식: <앱 주소>#d=<버전>.<base64url>
+// - "z1." : JSON → deflate-raw(CompressionStream) → base64url
+// - "b1." : 압축 미지원 브라우저용, JSON → UTF-8 → base64url
+// - 예전 링크(?data=<base64>)도 그대로 읽는다
+// 해시(#) 뒤는 서버로 전송되지 않으므로 데이터가 서버 로그에 남지 않음
+// 링크 종류: #...&m=patient → 환자용 화면 (주소에 ?mode=patient 를 붙여도 같음)
+
+export const SHARE_PARAM = "d";
+export const MODE_PARAM = "m";
+export const PATIENT_MODE = "patient";
+export const LEGACY_SHARE_PARAM = "data";
+// 카카오톡/일부 브라우저에서 잘리기 시작하는 길이 (보수적으로 잡음)
+export const SHARE_URL_WARN_LENGTH = 2000;
+
+function bytesToBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  const res = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+const canCompress = typeof CompressionStream === "function";
+
+export async function encodeShare(obj) {
+  const bytes = new TextEncoder().encode(JSON.stringify(obj));
+  if (canCompress) return "z1." + bytesToBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")));
+  return "b1." + bytesToBase64Url(bytes);
+}
+
+export async function decodeShare(token) {
+  const dot = token.indexOf(".");
+  const prefix = dot > 0 ? token.slice(0, dot) : "";
+  const body = token.slice(dot + 1);
+  let bytes;
+  if (prefix === "z1") {
+    if (typeof DecompressionStream !== "function")
+      throw new Error("이 브라우저는 압축된 공유 링크를 지원하지 않아요.");
+    bytes = await pipe(base64UrlToBytes(body), new DecompressionStream("deflate-raw"));
+  } else if (prefix === "b1") {
+    bytes = base64UrlToBytes(body);
+  } else {
+    // 예전 ?data= 링크: 일반 base64 (쿼리스트링에서 '+' 가 공백으로 바뀐 경우 복원)
+    bytes = Uint8Array.from(atob(token.replace(/ /g, "+")), (c) => c.charCodeAt(0));
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+export function buildShareUrl(token, mode) {
+  const hash = `${SHARE_PARAM}=${token}` + (mode ? `&${MODE_PARAM}=${mode}` : "");
+  return `${location.origin}${location.pathname}#${hash}`;
+}
+
+// 주소에서 공유 데이터 토큰 찾기 (#d= 우선, 없으면 예전 ?data=)
+export function readShareToken(url = window.location.href) {
+  const u = new URL(url);
+  const hash = new URLSearchParams(u.hash.slice(1));
+  return hash.get(SHARE_PARAM) || u.searchParams.get(LEGACY_SHARE_PARAM);
+}
+
+export function readShareMode(url = window.location.href) {
+  const u = new URL(url);
+  const hash = new URLSearchParams(u.hash.slice(1));
+  return hash.get(MODE_PARAM) || u.searchParams.get("mode");
+}
+
+// 한 번 처리한 뒤 주소창 정리
+export function clearShareToken() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(LEGACY_SHARE_PARAM);
+  url.hash = "";
+  window.history.replaceState({}, "", url.toString());
+}
@@ -0,0 +1,211 @@
+import { difficultyLabel, equipmentLabels, regionLabels, stageLabel } from "./classify.js";
+import { formatDosage } from "./dosage.js";
+import { easierOptions } from "./progression.js";
+import { toPlainText } from "./markup.js";
+import { resourceLine } from "./resources.js";
+
+// --- 카톡 전송용 텍스트 ---
+// 템플릿: { id, name, greeting, body, signature, plain }
+// - body 는 운동마다, greeting/signature 는 메시지 처음/끝에 한 번
+// - {제목} 같은 자리표시자를 값으로 바꿈. 자리표시자가 모두 비어 있는 줄은 빼고,
+//   빈 줄로 나뉜 문단의 자리표시자가 모두 비어 있으면 문단(제목 줄 포함)째 뺌
+// - plain: 이모지를 빼고 보냄 (문자 메시지용)
+// - {쉬운운동} 은 기본 템플릿에 넣지 않음: 치료사가 템플릿에 직접 넣었을 때만 보냄
+
+export const TEMPLATE_FIELDS = [
+  { key: "제목", desc: "운동 이름" },
+  { key: "부위", desc: "목, 어깨…" },
+  { key: "준비물", desc: "밴드, 의자…" },
+  { key: "단계", desc: "급성기…" },
+  { key: "난이도", desc: "쉬움/보통/어려움" },
+  { key: "처방", desc: "횟수·세트·빈도" },
+  { key: "설명", desc: "운동 설명" },
+  { key: "주의사항", desc: "주의사항" },
+  { key: "쉬운운동", desc: "아플 때 대신할 쉬운 운동 (넣은 템플릿에서만 보냄)" },
+  { key: "링크", desc: "참고 자료 링크 (영상은 시작 시간 포함)" },
+  { key: "태그", desc: "#태그" },
+  { key: "병원", desc: "병원 이름 (설정)" },
+  { key: "전화", desc: "전화번호 (설정)" },
+];
+
+const FIELD_KEYS = new Set(TEMPLATE_FIELDS.map((f) => f.key));
+const PLACEHOLDER_RE = /\{([^{}\n]+)\}/g;
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: "default",
+    name: "기본",
+    greeting: "",
+    body: [
+      "📌 {제목}\n🦴 부위: {부위}\n🧰 준비물: {준비물}",
+      "📋 운동 처방\n{처방}",
+      "운동 설명\n{설명}",
+      "⚠️ 주의사항\n{주의사항}",
+      "🔗 참고 링크\n{링크}",
+      "{태그}",
+    ].join("\n\n"),
+    signature: "",
+    plain: false,
+  },
+  {
+    id: "sms",
+    name: "문자용 (이모지 없음)",
+    greeting: "안녕하세요, {병원}입니다.\n안내드린 운동 보내드립니다.",
+    body: [
+      "[{제목}]\n부위: {부위}\n준비물: {준비물}",
+      "운동 방법: {처방}",
+      "{설명}",
+      "주의: {주의사항}",
+      "참고: {링크}",
+    ].join("\n\n"),
+    signature: "문의: {전화}",
+    plain: true,
+  },
+];
+
+const MAX_TEMPLATES = 20;
+
+// 설정에 저장된 템플릿 정리 (없거나 망가졌으면 기본 템플릿)
+export function normalizeTemplates(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_TEMPLATES;
+  const seen = new Set();
+  const list = [];
+  for (const t of raw.slice(0, MAX_TEMPLATES)) {
+    if (!t || typeof t !== "object" || typeof t.id !== "string" || seen.has(t.id)) continue;
+    seen.add(t.id);
+    list.push({
+      id: t.id,
+      name: String(t.name || "").trim().slice(0, 40) || "이름 없음",
+      greeting: String(t.greeting || ""),
+      body: String(t.body || ""),
+      signature: String(t.signature || ""),
+      plain: t.plain === true,
+    });
+  }
+  return list.length ? list : DEFAULT_TEMPLATES;
+}
+
+// settings: loadSettings() 결과 → 지금 고른 템플릿
+export function currentTemplate(settings) {
+  const list = normalizeTemplates(settings?.shareTemplates);
+  return list.find((t) => t.id === settings?.shareTemplateId) || list[0];
+}
+
+// 템플릿에 없는 자리표시자 (편집기 경고용)
+export function unknownPlaceholders(template) {
+  const text = [template.greeting, template.body, template.signature].join("\n");
+  const out = new Set();
+  for (const [, key] of text.matchAll(PLACEHOLDER_RE)) if (!FIELD_KEYS.has(key)) out.add(key);
+  return [...out];
+}
+
+export function fillTemplate(text, values) {
+  const keysOf = (s) => [...s.matchAll(PLACEHOLDER_RE)].map((m) => m[1]).filter((k) => FIELD_KEYS.has(k));
+  const allEmpty = (keys) => keys.length > 0 && keys.every((k) => !values[k]);
+  const fill = (s) => s.replace(PLACEHOLDER_RE, (m, k) => (FIELD_KEYS.has(k) ? values[k] || "" : m));
+  return String(text || "")
+    .split(/\n\s*\n/)
+    .filter((block) => !allEmpty(keysOf(block)))
+    .map((block) =>
+      block
+        .split("\n")
+        .filter((line) => !allEmpty(keysOf(line)))
+        .map((line) => fill(line).trimEnd())
+        .join("\n")
+        .trim()
+    )
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// 이모지(와 뒤따르는 공백 하나)를 지움
+export function stripEmoji(text) {
+  return text
+    .replace(/\p{Extended_Pictographic}[\uFE0F\u20E3]?(\u200D\p{Extended_Pictographic}[\uFE0F]?)* ?/gu, "")
+    .replace(/[\uFE0F\u20E3]/g, "")
+    .replace(/[ \t]+$/gm, "");
+}
+
+function clinicValues(clinic) {
+  return { 병원: clinic?.clinicName?.trim() || "", 전화: clinic?.clinicPhone?.trim() || "" };
+}
+
+// library: 쉬운 대체 운동 이름을 찾을 전체 목록
+function itemValues(item, library = []) {
+  return {
+    제목: item.title,
+    부위: regionLabels(item.regions).join(", "),
+    준비물: equipmentLabels(item.equipment).join(", "),
+    단계: stageLabel(item.stage),
+    난이도: difficultyLabel(item.difficulty),
+    처방: formatDosage(item.dosage),
+    설명: toPlainText(item.content),
+    주의사항: toPlainText(item.caution),
+    링크: (item.resources || []).map(resourceLine).join("\n"),
+    태그: item.tags && item.tags.length ? "#" + item.tags.join(" #") : "",
+    쉬운운동: easierOptions(item, library)
+      .map((it) => it.title)
+      .join(", "),
+  };
+}
+
+// 인사말 + 본문들 + 맺음말 (인사말/맺음말의 운동 자리표시자는 운동이 하나일 때만 채움)
+function wrap(template, clinic, bodies, item, library) {
+  const values = { ...(item ? itemValues(item, library) : {}), ...clinicValues(clinic) };
+  const separator = template.plain ? "----------" : "──────────";
+  const text = [
+    fillTemplate(template.greeting, values),
+    bodies.filter(Boolean).join(`\n\n${separator}\n\n`),
+    fillTemplate(template.signature, values),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+  return template.plain ? stripEmoji(text) : text;
+}
+
+// clinic: { clinicName, clinicPhone } (설정), library: {쉬운운동} 을 찾을 전체 운동 목록
+export function buildShareText(item, template = DEFAULT_TEMPLATES[0], clinic, library) {
+  const body = fillTemplate(template.body, { ...itemValues(item, library), ...clinicValues(clinic) });
+  return wrap(template, clinic, [body], item, library);
+}
+
+// 여러 운동법을 메시지 하나로 (구분선으로 나눔)
+export function buildItemsShareText(items, template = DEFAULT_TEMPLATES[0], clinic, library) {
+  const bodies = items.map((it) =>
+    fillTemplate(template.body, { ...itemValues(it, library), ...clinicValues(clinic) })
+  );
+  return wrap(template, clinic, bodies, items.length === 1 ? items[0] : null, library);
+}
+
+// 프로그램 항목별 처방 (예: "10회 × 3세트 · 10초 유지 · 하루 2회")
+export function formatEntryDosage(entry) {
+  return [formatDosage(entry), entry.frequency].filter(Boolean).join(" · ");
+}
+
+// 프로그램 전체를 카톡 메시지 하나로 묶기 (삭제된 운동은 건너뜀)
+// 프로그램 이름/대상/메모 다음에 운동마다 템플릿 본문을 채워 구분선으로 나눔
+// (인사말/맺음말, 이모지 빼기도 템플릿을 따름)
+export function buildProgramShareText(program, items, template = DEFAULT_TEMPLATES[0], clinic) {
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const header = [`📋 ${program.name}`];
+  if (program.target) header.push(`대상: ${program.target}`);
+  if (program.note) header.push("\n" + program.note);
+
+  // 제목 앞에 순서를 붙이고, 처방은 운동 기본값 대신 프로그램에 적은 값
+  const bodies = [];
+  for (const entry of program.entries || []) {
+    const item = byId.get(entry.itemId);
+    if (!item) continue;
+    bodies.push(
+      fillTemplate(template.body, {
+        ...itemValues(item, items),
+        ...clinicValues(clinic),
+        제목: `${bodies.length + 1}. ${item.title}`,
+        처방: formatEntryDosage(entry),
+      })
+    );
+  }
+
+  if (!bodies.length) header.push("\n(등록된 운동이 없습니다)");
+  return wrap(template, clinic, [header.join("\n"), ...bodies], null);
+}
@@ -0,0 +1,317 @@
+import { normalizeClassification } from "./classify.js";
+import { normalizeDosage } from "./dosage.js";
+import { EMPTY_LINKS } from "./progression.js";
+import { guessType } from "./resources.js";
+import { openDb, requestToPromise, txDone } from "./db.js";
+
+// --- 저장소 (IndexedDB, 항목 단위 저장 + 순차 마이그레이션) ---
+// 데이터 형식(봉투): { version, items, programs, logs, patients } — 백업 파일/공유 링크도 같은 형식
+// - v1: exerciseListV1 에 운동 배열만 그대로 저장 (프로그램은 programListV1)
+// - v2: 봉투 형식, 운동마다 dosage 객체
+// - v3: 운동마다 images 배열 ({ id, caption }, 실제 이미지는 IndexedDB)
+// - v4: 운동마다 revisions(수정 이력) 배열, deletedAt(휴지통)
+// - v5: 운동마다 분류 필드 regions/stage/difficulty/equipment
+// - v6: 운동마다 order(수동 순서, 기존 목록 순서대로), pinned, shareCount, lastSharedAt
+// - v7: logs(환자 운동 기록) 배열 추가
+// - v8: patients(환자 명단) 추가, 기록의 환자 이름(patient)을 patientId 로 바꿈
+// - v9: 운동마다 harderId(다음 단계), alternativeIds(쉬운 대체 운동), progressRule
+// - v10: 운동/수정 이력의 link 문자열 → resources 배열 ({ url, label, type, start, end })
+// 저장 위치: IndexedDB "items"/"programs"/"logs"/"patients" 스토어에 레코드 하나씩, 버전은 "meta" 의 schema
+// 예전 localStorage 데이터는 처음 한 번 옮기고, 원본은 meta 의 backup 에 남겨 둠
+
+export const STORAGE_KEY = "exerciseGuide";
+export const LEGACY_ITEMS_KEY = "exerciseListV1";
+export const LEGACY_PROGRAMS_KEY = "programListV1";
+export const SCHEMA_VERSION = 10;
+
+const STORES = ["items", "programs", "logs", "patients"];
+
+// v9 → v10: 예전 link 문자열 하나를 참고 자료 목록으로
+function linkToResources(record) {
+  if (!record || typeof record !== "object" || Array.isArray(record.resources)) return record;
+  const { link, ...rest } = record;
+  const url = typeof link === "string" ? link.trim() : "";
+  return { ...rest, resources: url ? [{ url, label: "", type: guessType(url), start: null, end: null }] : [] };
+}
+
+// MIGRATIONS[n] : vn → v(n+1). 새 버전을 만들면 여기에 한 단계씩 추가
+const MIGRATIONS = {
+  1: (list) => ({
+    version: 2,
+    items: list.map((it) =>
+      it && typeof it === "object" ? { ...it, dosage: normalizeDosage(it.dosage) } : it
+    ),
+    programs: [],
+  }),
+  2: (store) => ({
+    ...store,
+    version: 3,
+    items: (store.items || []).map((it) =>
+      it && typeof it === "object" ? { ...it, images: Array.isArray(it.images) ? it.images : [] } : it
+    ),
+  }),
+  3: (store) => ({
+    ...store,
+    version: 4,
+    items: (store.items || []).map((it) =>
+      it && typeof it === "object"
+        ? { ...it, revisions: Array.isArray(it.revisions) ? it.revisions : [], deletedAt: it.deletedAt || null }
+        : it
+    ),
+  }),
+  4: (store) => ({
+    ...store,
+    version: 5,
+    items: (store.items || []).map((it) =>
+      it && typeof it === "object" ? { ...it, ...normalizeClassification(it) } : it
+    ),
+  }),
+  5: (store) => ({
+    ...store,
+    version: 6,
+    items: (store.items || []).map((it, idx) =>
+      it && typeof it === "object"
+        ? { ...it, order: idx, pinned: false, shareCount: 0, lastSharedAt: null }
+        : it
+    ),
+  }),
+  6: (store) => ({ ...store, version: 7, logs: Array.isArray(store.logs) ? store.logs : [] }),
+  // 기록에 적힌 환자 이름마다 환자를 하나씩 만들고, 그 환자가 기록한 운동을 배정 운동으로
+  7: (store) => {
+    const now = Date.now();
+    const byName = new Map();
+    const logs = (store.logs || []).map((log) => {
+      if (!log || typeof log !== "object") return log;
+      const { patient, ...rest } = log;
+      const name = String(patient || "").trim() || "이름 없음";
+      if (!byName.has(name))
+        byName.set(name, { id: `P${byName.size + 1}-${now.toString(36)}`, name, assignments: [] });
+      const p = byName.get(name);
+      if (!p.assignments.some((a) => a.targetType === log.targetType && a.targetId === log.targetId))
+        p.assignments.push({ targetType: log.targetType, targetId: log.targetId });
+      return { ...rest, patientId: p.id };
+    });
+    const patients = [...byName.values()].map((p) => ({
+      ...p,
+      diagnosis: "",
+      startDate: "",
+      nextReview: "",
+      note: "",
+      createdAt: now,
+      updatedAt: now,
+    }));
+    return { ...store, version: 8, logs, patients };
+  },
+  8: (store) => ({
+    ...store,
+    version: 9,
+    items: (store.items || []).map((it) => (it && typeof it === "object" ? { ...EMPTY_LINKS, ...it } : it)),
+  }),
+  9: (store) => ({
+    ...store,
+    version: 10,
+    items: (store.items || []).map((it) =>
+      it && typeof it === "object"
+        ? {
+            ...linkToResources(it),
+            revisions: Array.isArray(it.revisions) ? it.revisions.map(linkToResources) : it.revisions,
+          }
+        : it
+    ),
+  }),
+};
+
+export function detectVersion(data) {
+  if (Array.isArray(data)) return 1;
+  if (data && typeof data === "object" && Number.isInteger(data.version) && data.version >= 1) return data.version;
+  return null;
+}
+
+// 어떤 버전이든 현재 형식으로 올림. 알 수 없거나 더 최신 형식이면 throw
+export function migrate(data) {
+  let version = detectVersion(data);
+  if (version == null) throw new Error("알 수 없는 데이터 형식입니다.");
+  if (version > SCHEMA_VERSION)
+    throw new Error(`이 앱보다 새로운 형식(v${version})의 데이터입니다. 앱을 새로고침해 주세요.`);
+
+  let out = data;
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error("알 수 없는 데이터 형식입니다.");
+    out = step(out);
+    // 버전이 오르지 않으면 끝없이 돌거나 없는 단계를 부르므로 멈춤
+    if (!Number.isInteger(out?.version) || out.version <= version)
+      throw new Error(`v${version} 데이터를 변환하지 못했습니다.`);
+    version = out.version;
+  }
+  return {
+    version: SCHEMA_VERSION,
+    items: Array.isArray(out.items) ? out.items : [],
+    programs: Array.isArray(out.programs) ? out.programs : [],
+    logs: Array.isArray(out.logs) ? out.logs : [],
+    patients: Array.isArray(out.patients) ? out.patients : [],
+  };
+}
+
+export function toEnvelope({ items = [], programs = [], logs = [], patients = [] }) {
+  return { version: SCHEMA_VERSION, items, programs, logs, patients };
+}
+
+// --- 저장 실패 안내 ---
+
+export function isQuotaError(e) {
+  return e?.name === "QuotaExceededError" || e?.inner?.name === "QuotaExceededError";
+}
+
+export function describeSaveError(e) {
+  if (isQuotaError(e))
+    return "저장 공간이 부족해 변경 내용을 저장하지 못했습니다. 사진을 줄이거나 백업 후 정리해 주세요.";
+  return `변경 내용을 저장하지 못했습니다. (${e?.message || e})`;
+}
+
+// --- 예전 localStorage 데이터 ---
+
+// → { raw, data, fromVersion } — fromVersion 은 마이그레이션 전 원본의 버전 (백업 기록용)
+function readLegacy() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (raw) {
+    const data = JSON.parse(raw);
+    return { raw, data, fromVersion: detectVersion(data) };
+  }
+  const rawItems = localStorage.getItem(LEGACY_ITEMS_KEY);
+  const rawPrograms = localStorage.getItem(LEGACY_PROGRAMS_KEY);
+  if (!rawItems && !rawPrograms) return null;
+  const items = rawItems ? JSON.parse(rawItems) : [];
+  const programs = rawPrograms ? JSON.parse(rawPrograms) : [];
+  return {
+    fromVersion: detectVersion(items),
+    raw: JSON.stringify({ [LEGACY_ITEMS_KEY]: items, [LEGACY_PROGRAMS_KEY]: programs }),
+    data: { ...migrate(Array.isArray(items) ? items : []), programs: Array.isArray(programs) ? programs : [] },
+  };
+}
+
+// --- IndexedDB 읽기/쓰기 ---
+
+// 목록 순서 (IndexedDB 는 id 순으로 돌려주므로 따로 보관)
+function orderOf(list) {
+  return list.map((r) => r.id);
+}
+
+function applyOrder(list, order) {
+  if (!Array.isArray(order)) return list;
+  const rank = new Map(order.map((id, i) => [id, i]));
+  return [...list].sort((a, b) => (rank.get(a.id) ?? -1) - (rank.get(b.id) ?? -1));
+}
+
+function orderRecord(store) {
+  return { key: "order", ...Object.fromEntries(STORES.map((name) => [name, orderOf(store[name])])) };
+}
+
+async function readAll(db) {
+  const tx = db.transaction([...STORES, "meta"]);
+  const [schema, order, ...lists] = await Promise.all([
+    requestToPromise(tx.objectStore("meta").get("schema")),
+    requestToPromise(tx.objectStore("meta").get("order")),
+    ...STORES.map((name) => requestToPromise(tx.objectStore(name).getAll())),
+  ]);
+  const out = { version: schema?.version ?? null };
+  STORES.forEach((name, i) => (out[name] = applyOrder(lists[i], order?.[name])));
+  return out;
+}
+
+// 전체 교체 (마이그레이션, 저장 실패 후 재동기화용)
+async function writeAll(db, store, backup) {
+  const tx = db.transaction([...STORES, "meta"], "readwrite");
+  for (const name of STORES) {
+    const os = tx.objectStore(name);
+    os.clear();
+    for (const rec of store[name]) os.put(rec);
+  }
+  tx.objectStore("meta").put({ key: "schema", version: SCHEMA_VERSION });
+  tx.objectStore("meta").put(orderRecord(store));
+  if (backup) tx.objectStore("meta").put({ key: "backup", takenAt: Date.now(), ...backup });
+  await txDone(tx);
+}
+
+// { items, programs, logs, patients, error } — 읽기/마이그레이션 실패 시 원본은 건드리지 않음
+export async function loadStore() {
+  const empty = { items: [], programs: [], logs: [], patients: [] };
+  try {
+    const db = await openDb();
+    // 브라우저가 저장소를 임의로 비우지 않도록 요청 (지원하는 경우)
+    navigator.storage?.persist?.().catch(() => {});
+    const current = await readAll(db);
+
+    if (current.version == null) {
+      // 처음 실행: localStorage 에 있던 데이터를 한 번만 옮김
+      const legacy = readLegacy();
+      if (!legacy) {
+        await writeAll(db, empty);
+        return empty;
+      }
+      const store = migrate(legacy.data);
+      await writeAll(db, store, { fromVersion: legacy.fromVersion, reason: "localStorage", raw: legacy.raw });
+      return store;
+    }
+
+    const { version: _version, ...found } = current;
+    let store = found;
+    if (current.version > SCHEMA_VERSION)
+      throw new Error(`이 앱보다 새로운 형식(v${current.version})의 데이터입니다. 앱을 새로고침해 주세요.`);
+    if (current.version !== SCHEMA_VERSION) {
+      const raw = JSON.stringify({ version: current.version, ...store });
+      store = migrate({ version: current.version, ...store });
+      await writeAll(db, store, { fromVersion: current.version, reason: "migration", raw });
+    }
+    return store;
+  } catch (e) {
+    return { ...empty, error: e };
+  }
+}
+
+// 다른 탭이 저장한 내용을 다시 읽을 때 (마이그레이션 없이 그대로)
+export async function readStore() {
+  const db = await openDb();
+  const current = await readAll(db);
+  if (current.version !== SCHEMA_VERSION)
+    throw new Error(`다른 창의 데이터 형식(v${current.version})이 이 앱과 다릅니다. 새로고침해 주세요.`);
+  const { version: _version, ...store } = current;
+  return store;
+}
+
+// 바뀐 레코드만 저장 (prev 가 없으면 전체 교체) → 실제로 쓴 것이 있으면 true
+// 같은 객체면 그대로라고 보고 건너뜀 — 상태는 항상 새 객체로 갱신하므로 안전
+export async function saveStore(prev, next) {
+  const db = await openDb();
+  if (!prev) {
+    await writeAll(db, next);
+    return true;
+  }
+
+  const tx = db.transaction([...STORES, "meta"], "readwrite");
+  let reordered = false;
+  let written = false;
+  for (const name of STORES) {
+    const os = tx.objectStore(name);
+    const before = new Map(prev[name].map((r) => [r.id, r]));
+    const after = new Set();
+    for (const rec of next[name]) {
+      after.add(rec.id);
+      if (before.get(rec.id) !== rec) {
+        os.put(rec);
+        written = true;
+      }
+    }
+    for (const id of before.keys()) {
+      if (after.has(id)) continue;
+      os.delete(id);
+      written = true;
+    }
+    const a = orderOf(prev[name]);
+    const b = orderOf(next[name]);
+    if (a.length !== b.length || a.some((id, i) => id !== b[i])) reordered = true;
+  }
+  if (reordered) tx.objectStore("meta").put(orderRecord(next));
+  await txDone(tx);
+  return written || reordered;
+}
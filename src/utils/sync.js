@@ -0,0 +1,102 @@
+// --- 여러 탭/창 동기화 ---
+// 한 탭이 저장하면 다른 탭에 알리고, 받은 탭은 IndexedDB 에서 다시 읽어 자기 상태와 합침
+// BroadcastChannel 이 없는 브라우저는 localStorage 의 storage 이벤트로 대신
+
+const CHANNEL = "exerciseGuide.sync";
+const TAB_ID = Math.random().toString(36).slice(2);
+
+export function openSync(onChange) {
+  if (typeof BroadcastChannel === "function") {
+    const ch = new BroadcastChannel(CHANNEL);
+    ch.onmessage = (e) => {
+      if (e.data?.tab !== TAB_ID) onChange();
+    };
+    return {
+      notify: () => ch.postMessage({ tab: TAB_ID, at: Date.now() }),
+      close: () => ch.close(),
+    };
+  }
+
+  function onStorage(e) {
+    if (e.key === CHANNEL && e.newValue) onChange();
+  }
+  window.addEventListener("storage", onStorage);
+  return {
+    notify: () => {
+      try {
+        localStorage.setItem(CHANNEL, `${TAB_ID}:${Date.now()}`);
+      } catch (e) {
+        console.warn("동기화 알림 실패", e);
+      }
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
+
+// 레코드가 바뀌었는지 판단하는 기준
+// 휴지통 이동/복원, 순서·고정·공유 기록은 updatedAt 을 바꾸지 않으므로 따로 봄
+function stampOf(rec) {
+  return [rec.updatedAt, rec.deletedAt, rec.order, rec.pinned, rec.shareCount].map((v) => v ?? "").join(":");
+}
+
+// 3-way 병합
+// base: 이 탭이 마지막으로 저장소와 맞춘 목록 (저장 실패로 모르면 null)
+// local: 이 탭의 현재 목록, remote: 저장소에서 방금 읽은 목록
+// 양쪽에서 모두 바뀐 레코드는 resolve(local, remote) 결과를 쓰고 conflicts 에 담음
+// → { list, persisted, conflicts, changed }
+//   persisted: 저장소 내용과 같은 레코드는 이 탭의 객체로 바꾼 목록 (다음 저장 때 다시 쓰지 않도록)
+export function mergeRemote(base, local, remote, resolve) {
+  const baseById = base ? new Map(base.map((r) => [r.id, r])) : null;
+  const localById = new Map(local.map((r) => [r.id, r]));
+  const remoteIds = new Set(remote.map((r) => r.id));
+  const conflicts = [];
+  const list = [];
+
+  // 이 탭에서 새로 만든 레코드는 앞쪽에 (새 항목은 항상 맨 앞에 추가됨)
+  for (const rec of local) {
+    if (!remoteIds.has(rec.id) && !baseById?.has(rec.id)) list.push(rec);
+  }
+
+  for (const rec of remote) {
+    const mine = localById.get(rec.id);
+    const was = baseById?.get(rec.id);
+    if (!mine) {
+      // 이 탭에서 지웠거나, 다른 탭에서 새로 만든 레코드
+      if (!was || stampOf(was) !== stampOf(rec)) list.push(rec);
+      continue;
+    }
+    if (stampOf(mine) === stampOf(rec)) {
+      list.push(mine);
+      continue;
+    }
+    const localChanged = !was || mine !== was;
+    const remoteChanged = !was || stampOf(was) !== stampOf(rec);
+    if (localChanged && remoteChanged) {
+      const merged = resolve(mine, rec);
+      conflicts.push(merged);
+      list.push(merged);
+    } else {
+      list.push(remoteChanged ? rec : mine);
+    }
+  }
+
+  // 다른 탭에서 영구 삭제한 레코드: 이 탭에서 고친 적이 없을 때만 따라 지움
+  for (const rec of local) {
+    const was = baseById?.get(rec.id);
+    if (!remoteIds.has(rec.id) && was && rec !== was) list.push(rec);
+  }
+
+  const byId = new Map(list.map((r) => [r.id, r]));
+  const resolved = new Set(conflicts.map((r) => r.id));
+  const persisted = remote.map((rec) => {
+    const mine = byId.get(rec.id);
+    return mine && !resolved.has(rec.id) && stampOf(mine) === stampOf(rec) ? mine : rec;
+  });
+  const changed = list.length !== local.length || list.some((r, i) => r !== local[i]);
+  return { list, persisted, conflicts, changed };
+}
+
+// 동시에 고친 레코드는 최근 수정본을 남김
+export function newerOf(a, b) {
+  return (b.updatedAt || 0) > (a.updatedAt || 0) ? b : a;
+}
@@ -0,0 +1,63 @@
+import { matchTag } from "./search.js";
+
+// --- 태그 ---
+
+export const MAX_TAG_LENGTH = 30;
+
+// 대소문자/공백만 다른 태그는 같은 태그로 봄 ("Shoulder" = "shoulder")
+export function tagKey(tag) {
+  return tag.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// 앞뒤 공백 정리 + 같은 태그 중복 제거 (처음 쓴 표기를 남김)
+export function cleanTags(tags) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of tags) {
+    const tag = raw.trim().replace(/\s+/g, " ").slice(0, MAX_TAG_LENGTH);
+    if (!tag || seen.has(tagKey(tag))) continue;
+    seen.add(tagKey(tag));
+    out.push(tag);
+  }
+  return out;
+}
+
+// → [{ tag, count }] 많이 쓴 순, 같으면 가나다순
+export function countTags(items) {
+  const counts = new Map();
+  for (const it of items) {
+    for (const tag of it.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, "ko"));
+}
+
+// mode: "and" (모두 포함) | "or" (하나라도 포함)
+export function hasTags(item, selected, mode) {
+  if (!selected.length) return true;
+  const own = new Set(item.tags || []);
+  return mode === "and" ? selected.every((t) => own.has(t)) : selected.some((t) => own.has(t));
+}
+
+// from 의 태그들을 to 로 바꿈 (이름 바꾸기 = 하나짜리 합치기)
+// update(item, tags): 바뀐 항목을 만드는 함수 — 바뀌지 않은 항목은 그대로 둠
+export function mergeTags(items, from, to, update) {
+  const fromSet = new Set(from);
+  return items.map((it) => {
+    if (!(it.tags || []).some((t) => fromSet.has(t))) return it;
+    return update(it, cleanTags(it.tags.map((t) => (fromSet.has(t) ? to : t))));
+  });
+}
+
+// 입력 중인 글자에 맞는 기존 태그 (이미 고른 태그 제외) — 초성/오타도 허용
+export function suggestTags(counts, input, exclude, limit = 8) {
+  const skip = new Set(exclude.map(tagKey));
+  const q = input.trim();
+  return counts
+    .filter(({ tag }) => !skip.has(tagKey(tag)))
+    .map((c) => ({ ...c, score: q ? matchTag(c.tag, q) : 0 }))
+    .filter((c) => c.score != null)
+    .sort((a, b) => b.score - a.score || b.count - a.count)
+    .slice(0, limit);
+}
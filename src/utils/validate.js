@@ -0,0 +1,364 @@
+import { normalizeClassification } from "./classify.js";
+import { normalizeDosage } from "./dosage.js";
+import { normalizeLinks } from "./progression.js";
+import { MAX_RESOURCES, RESOURCE_TYPES, guessType } from "./resources.js";
+
+// --- 외부 데이터 검증/정리 ---
+// 파일 가져오기, ?data= 링크, 링크 붙여넣기 모두 여기를 거친다.
+// 버릴 레코드는 rejected 에, 일부만 고친 레코드는 warnings 에 사유와 함께 남긴다.
+
+const MAX_TITLE = 80;
+const MAX_TEXT = 5000;
+const MAX_TAGS = 30;
+const MAX_IMAGES = 20;
+const MAX_REVISIONS = 20;
+// 저장/백업할 수 있는 이미지 형식 — 올릴 때(prepareImage)와 가져올 때 같은 목록을 씀
+export const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+const DATA_URL_RE = new RegExp(`^data:(${IMAGE_TYPES.join("|")});base64,[A-Za-z0-9+/=]+$`);
+
+export function isSafeLink(url) {
+  try {
+    const u = new URL(String(url));
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// http/https 가 아니면 빈 문자열
+export function safeLink(url) {
+  const s = String(url || "").trim();
+  return s && isSafeLink(s) ? s : "";
+}
+
+function toText(v, max = MAX_TEXT) {
+  if (v == null) return "";
+  if (typeof v !== "string" && typeof v !== "number") return "";
+  return String(v).slice(0, max);
+}
+
+function toId(v) {
+  if (typeof v === "string" && v.trim()) return v.trim().slice(0, 64);
+  if (typeof v === "number" && Number.isFinite(v)) return String(v);
+  return null;
+}
+
+function toNumber(v, fallback) {
+  const n = typeof v === "number" ? v : typeof v === "string" && v.trim() ? Number(v) : NaN;
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function toTime(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function labelOf(raw, key) {
+  return raw && typeof raw === "object" && typeof raw[key] === "string" ? raw[key].slice(0, 40) : "";
+}
+
+function toTags(v) {
+  return Array.isArray(v)
+    ? v
+        .filter((t) => typeof t === "string" || typeof t === "number")
+        .map((t) => String(t).trim().slice(0, 30))
+        .filter(Boolean)
+        .slice(0, MAX_TAGS)
+    : [];
+}
+
+function toImages(v) {
+  return Array.isArray(v)
+    ? v
+        .filter((img) => img && typeof img === "object" && toId(img.id))
+        .slice(0, MAX_IMAGES)
+        .map((img) => ({ id: toId(img.id), caption: toText(img.caption, 200) }))
+    : [];
+}
+
+function toSeconds(v) {
+  const n = Math.floor(Number(v));
+  return v != null && v !== "" && Number.isFinite(n) && n >= 0 && n < 24 * 3600 ? n : null;
+}
+
+// 참고 자료 목록 (예전 형식의 link 문자열 하나도 받음) → { value, dropped: 버린 안전하지 않은 주소 수 }
+function toResources(raw) {
+  const list = Array.isArray(raw.resources)
+    ? raw.resources
+    : typeof raw.link === "string" && raw.link.trim()
+      ? [{ url: raw.link }]
+      : [];
+  let dropped = 0;
+  const value = [];
+  for (const r of list) {
+    if (!r || typeof r !== "object") continue;
+    const url = toText(r.url, 2000).trim();
+    if (!url) continue;
+    if (!isSafeLink(url)) {
+      dropped += 1;
+      continue;
+    }
+    const start = toSeconds(r.start);
+    const end = toSeconds(r.end);
+    value.push({
+      url,
+      label: toText(r.label, 60).trim(),
+      type: RESOURCE_TYPES.some((t) => t.key === r.type) ? r.type : guessType(url),
+      start: start || null,
+      end: end && end > (start || 0) ? end : null,
+    });
+  }
+  return { value: value.slice(0, MAX_RESOURCES), dropped };
+}
+
+function toRevisions(v, now, itemId) {
+  if (!Array.isArray(v)) return [];
+  return v
+    .filter((r) => r && typeof r === "object" && !Array.isArray(r))
+    .slice(0, MAX_REVISIONS)
+    .map((r) => ({
+      at: toTime(r.at, now),
+      title: toText(r.title, MAX_TITLE),
+      content: toText(r.content),
+      caution: toText(r.caution),
+      resources: toResources(r).value,
+      tags: toTags(r.tags),
+      dosage: normalizeDosage(r.dosage),
+      images: toImages(r.images),
+      ...normalizeClassification(r),
+      // 단계/대체 운동을 기록하기 전의 이력은 그대로 두어 복원할 때 지금 연결을 지우지 않게
+      ...("harderId" in r || "alternativeIds" in r ? normalizeLinks(r, itemId) : {}),
+    }));
+}
+
+// 레코드 하나 → { value } 또는 { reason }
+export function normalizeItem(raw, { makeId, now = Date.now() } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { reason: "객체가 아닙니다" };
+  const title = toText(raw.title, MAX_TITLE).trim();
+  if (!title) return { reason: "제목이 없습니다" };
+
+  const notes = [];
+  const resources = toResources(raw);
+  if (resources.dropped) notes.push("http/https 가 아닌 링크를 제거했습니다");
+
+  const id = toId(raw.id) || makeId();
+  return {
+    value: {
+      id,
+      title,
+      content: toText(raw.content),
+      caution: toText(raw.caution),
+      resources: resources.value,
+      tags: toTags(raw.tags),
+      dosage: normalizeDosage(raw.dosage),
+      ...normalizeClassification(raw),
+      ...normalizeLinks(raw, id),
+      images: toImages(raw.images),
+      revisions: toRevisions(raw.revisions, now, id),
+      deletedAt: toTime(raw.deletedAt, null),
+      order: toNumber(raw.order, 0),
+      pinned: raw.pinned === true,
+      shareCount: Math.max(0, Math.floor(Number(raw.shareCount)) || 0),
+      lastSharedAt: toTime(raw.lastSharedAt, null),
+      createdAt: toTime(raw.createdAt, now),
+      updatedAt: toTime(raw.updatedAt, now),
+    },
+    notes,
+  };
+}
+
+// 백업 파일의 이미지 { id: dataURL } — 래스터 이미지 data URL 만 허용
+// → { assets, warnings } — 버린 이미지는 그 사진을 쓰는 운동 이름과 함께 warnings 에
+export function validateAssets(raw, items = []) {
+  const assets = {};
+  const warnings = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { assets, warnings };
+  for (const [key, value] of Object.entries(raw)) {
+    const id = toId(key);
+    if (id && typeof value === "string" && DATA_URL_RE.test(value)) {
+      assets[id] = value;
+      continue;
+    }
+    const index = items.findIndex((it) => (it.images || []).some((img) => img.id === id));
+    if (index < 0) continue;
+    const type = typeof value === "string" ? value.match(/^data:([^;,]+)/)?.[1] : null;
+    warnings.push({
+      kind: "운동",
+      index,
+      label: items[index].title,
+      reason: `지원하지 않는 이미지${type ? `(${type})` : ""}를 제외했습니다`,
+    });
+  }
+  return { assets, warnings };
+}
+
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const itemId = toId(raw.itemId);
+  if (!itemId) return null;
+  const d = normalizeDosage(raw);
+  return {
+    itemId,
+    sets: d.sets,
+    reps: d.reps,
+    holdSec: d.holdSec,
+    frequency: toText(raw.frequency, 40),
+  };
+}
+
+export function normalizeProgram(raw, { makeId, now = Date.now() } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { reason: "객체가 아닙니다" };
+  const name = toText(raw.name, MAX_TITLE).trim();
+  if (!name) return { reason: "프로그램 이름이 없습니다" };
+  const rawEntries = Array.isArray(raw.entries) ? raw.entries : [];
+  const entries = rawEntries.map(normalizeEntry).filter(Boolean);
+  const notes = [];
+  if (entries.length !== rawEntries.length) notes.push("잘못된 운동 구성 항목을 제외했습니다");
+  return {
+    value: {
+      id: toId(raw.id) || makeId(),
+      name,
+      target: toText(raw.target, MAX_TITLE),
+      note: toText(raw.note),
+      entries,
+      createdAt: toTime(raw.createdAt, now),
+      updatedAt: toTime(raw.updatedAt, now),
+    },
+    notes,
+  };
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toPain(v) {
+  const n = toNumber(v, null);
+  return n != null && Number.isInteger(n) && n >= 0 && n <= 10 ? n : null;
+}
+
+function toDate(v) {
+  return typeof v === "string" && DATE_RE.test(v) && !Number.isNaN(new Date(v).getTime()) ? v : "";
+}
+
+function toTargets(v) {
+  if (!Array.isArray(v)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const t of v) {
+    const targetId = toId(t?.targetId);
+    const targetType = t?.targetType === "program" ? "program" : "item";
+    if (!targetId || seen.has(`${targetType}:${targetId}`)) continue;
+    seen.add(`${targetType}:${targetId}`);
+    out.push({ targetType, targetId });
+  }
+  return out;
+}
+
+export function normalizePatient(raw, { makeId, now = Date.now() } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { reason: "객체가 아닙니다" };
+  const name = toText(raw.name, 40).trim();
+  if (!name) return { reason: "환자 이름이 없습니다" };
+  const notes = [];
+  const startDate = toDate(raw.startDate);
+  const nextReview = toDate(raw.nextReview);
+  if ((raw.startDate && !startDate) || (raw.nextReview && !nextReview))
+    notes.push("올바르지 않은 날짜를 지웠습니다");
+  return {
+    value: {
+      id: toId(raw.id) || makeId(),
+      name,
+      diagnosis: toText(raw.diagnosis, MAX_TITLE),
+      startDate,
+      nextReview,
+      assignments: toTargets(raw.assignments),
+      note: toText(raw.note, 1000),
+      createdAt: toTime(raw.createdAt, now),
+      updatedAt: toTime(raw.updatedAt, now),
+    },
+    notes,
+  };
+}
+
+// 환자 운동 기록: 운동(item) 또는 프로그램(program) 하나에 대한 하루치
+export function normalizeLog(raw, { makeId, now = Date.now() } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { reason: "객체가 아닙니다" };
+  const patientId = toId(raw.patientId);
+  if (!patientId) return { reason: "환자가 지정되지 않았습니다" };
+  const targetId = toId(raw.targetId);
+  if (!targetId) return { reason: "운동/프로그램이 지정되지 않았습니다" };
+  const date = toDate(raw.date);
+  if (!date) return { reason: "날짜가 올바르지 않습니다" };
+
+  const notes = [];
+  const setsDone = toNumber(raw.setsDone, null);
+  const painBefore = toPain(raw.painBefore);
+  const painAfter = toPain(raw.painAfter);
+  if ((raw.painBefore != null && painBefore == null) || (raw.painAfter != null && painAfter == null))
+    notes.push("0~10 이 아닌 통증 점수를 지웠습니다");
+  return {
+    value: {
+      id: toId(raw.id) || makeId(),
+      patientId,
+      targetType: raw.targetType === "program" ? "program" : "item",
+      targetId,
+      date,
+      setsDone: setsDone != null && Number.isInteger(setsDone) && setsDone >= 0 && setsDone <= 50 ? setsDone : null,
+      painBefore,
+      painAfter,
+      note: toText(raw.note, 500),
+      createdAt: toTime(raw.createdAt, now),
+      updatedAt: toTime(raw.updatedAt, now),
+    },
+    notes,
+  };
+}
+
+function normalizeList(list, normalize, kind, titleKey, opts) {
+  const out = [];
+  const rejected = [];
+  const warnings = [];
+  const seen = new Set();
+  (Array.isArray(list) ? list : []).forEach((raw, index) => {
+    const label = labelOf(raw, titleKey);
+    const res = normalize(raw, opts);
+    if (res.reason) {
+      rejected.push({ kind, index, label, reason: res.reason });
+      return;
+    }
+    if (seen.has(res.value.id)) {
+      rejected.push({ kind, index, label, reason: `중복된 id (${res.value.id})` });
+      return;
+    }
+    seen.add(res.value.id);
+    for (const reason of res.notes) warnings.push({ kind, index, label: res.value[titleKey], reason });
+    out.push(res.value);
+  });
+  return { list: out, rejected, warnings };
+}
+
+// 마이그레이션을 마친 봉투 → { items, programs, logs, patients, rejected, warnings }
+export function validateStore(store, { makeId }) {
+  const now = Date.now();
+  const items = normalizeList(store.items, normalizeItem, "운동", "title", { makeId, now });
+  const programs = normalizeList(store.programs, normalizeProgram, "프로그램", "name", { makeId, now });
+  const patients = normalizeList(store.patients, normalizePatient, "환자", "name", { makeId, now });
+  // 명단에 없는 환자의 기록은 버림
+  const patientIds = new Set(patients.list.map((p) => p.id));
+  const logs = normalizeList(
+    store.logs,
+    (raw, opts) => {
+      const res = normalizeLog(raw, opts);
+      return res.value && !patientIds.has(res.value.patientId) ? { reason: "명단에 없는 환자의 기록입니다" } : res;
+    },
+    "기록",
+    "date",
+    { makeId, now }
+  );
+  return {
+    items: items.list,
+    programs: programs.list,
+    logs: logs.list,
+    patients: patients.list,
+    rejected: [...items.rejected, ...programs.rejected, ...logs.rejected, ...patients.rejected],
+    warnings: [...items.warnings, ...programs.warnings, ...logs.warnings, ...patients.warnings],
+  };
+}
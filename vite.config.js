@@ -1,7 +1,37 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// 빌드 결과물(앱 셸) 목록을 넣어 서비스 워커(sw.js)를 만듦
+// 내용이 바뀌면 버전 해시도 바뀌어 브라우저가 새 버전을 감지함
+function serviceWorker() {
+  return {
+    name: 'exercise-guide-sw',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const files = Object.values(bundle).map((file) => {
+        hash.update(file.type === 'chunk' ? file.code : file.source)
+        return file.fileName
+      })
+      const publicFiles = readdirSync('public')
+      for (const name of publicFiles) hash.update(readFileSync(`public/${name}`))
+      const precache = ['./', ...files.filter((f) => f !== 'index.html'), ...publicFiles]
+      const header =
+        `self.__VERSION__ = ${JSON.stringify(hash.digest('hex').slice(0, 12))};\n` +
+        `self.__PRECACHE__ = ${JSON.stringify(precache)};\n`
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: header + readFileSync('src/sw.js', 'utf8'),
+      })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/exercise-guide/', // 리포지토리명과 동일
-})
\ No newline at end of file
+})